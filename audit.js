@@ -0,0 +1,45 @@
+// Audit log of host controls and admin API calls. Recent entries are kept in
+// memory for the admin API, and each one is appended as a JSON line to
+// AUDIT_LOG_FILE (default data/audit.log; set it empty to skip the file).
+import { appendFile, mkdir } from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_FILE = 'data/audit.log';
+const MAX_AUDIT_ENTRIES = 1000;
+
+export function createAuditLog(file = process.env.AUDIT_LOG_FILE ?? DEFAULT_FILE) {
+  const entries = [];
+  // Appends run one after another so lines keep their order
+  let writing = Promise.resolve();
+
+  return {
+    // actor is { type: 'host', playerId, name } or { type: 'admin', ip }
+    record({ actor, action, roomCode = null, details = {} }) {
+      const entry = { at: Date.now(), actor, action, roomCode, details };
+      entries.push(entry);
+      if (entries.length > MAX_AUDIT_ENTRIES) {
+        entries.shift();
+      }
+
+      if (file) {
+        writing = writing
+          .then(async () => {
+            await mkdir(path.dirname(file), { recursive: true });
+            await appendFile(file, `${JSON.stringify(entry)}\n`);
+          })
+          .catch((err) => {
+            console.error('Failed to write audit log:', err.message);
+          });
+      }
+      console.log(`[audit] ${actor.type} ${actor.name ?? actor.ip ?? ''} ${action}${roomCode ? ` in room ${roomCode}` : ''}`);
+      return entry;
+    },
+    // Newest first
+    list({ roomCode, limit = 100 } = {}) {
+      return entries
+        .filter(entry => !roomCode || entry.roomCode === roomCode)
+        .slice(-limit)
+        .reverse();
+    },
+  };
+}
@@ -0,0 +1,81 @@
+// Bot strategies. A strategy gets exactly what a human client gets, the
+// getPlayerView snapshot for its own seat, and returns { action, amount }.
+import { evaluateHand, getVariant, RANK_VALUES } from './gameLogic.js';
+
+function randomBetween(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function pick(options) {
+  return options[Math.floor(Math.random() * options.length)];
+}
+
+// Any legal action, with small raises far more likely than big ones
+function randomStrategy(view) {
+  const legal = view.legalActions;
+  const options = [];
+  if (legal.check) options.push('check', 'check');
+  if (legal.call) options.push('call', 'call', 'fold');
+  if (legal.raise) options.push('raise');
+
+  const action = pick(options);
+  if (action !== 'raise') return { action };
+
+  const range = legal.maxRaise - legal.minRaise;
+  const amount = legal.minRaise + Math.floor(range * Math.random() ** 3);
+  return { action, amount };
+}
+
+// Rough 0..1 strength of the bot's own cards and the visible board
+function estimateStrength(view, me) {
+  const variant = getVariant(view.variant);
+
+  if (view.communityCards.length === 0) {
+    const values = me.cards.map(c => RANK_VALUES[c.rank]).sort((a, b) => b - a);
+    const paired = new Set(values).size < values.length;
+    const suited = new Set(me.cards.map(c => c.suit)).size < me.cards.length;
+    const high = (values[0] + values[1]) / 28;
+    return Math.min(1, high * 0.7 + (paired ? 0.35 : 0) + (suited ? 0.05 : 0));
+  }
+
+  // Made-hand category on a square-root curve, so a pair is not hopeless
+  const hand = evaluateHand(me.cards, view.communityCards, variant);
+  const top = Math.max(...Object.values(variant.handRankings));
+  return Math.sqrt((hand.rank - 1) / (top - 1));
+}
+
+// Bets its strong hands, calls with medium ones when the price is right and
+// gives up weak ones
+function handStrengthStrategy(view) {
+  const legal = view.legalActions;
+  const me = view.players.find(p => p.id === view.botId);
+  const strength = estimateStrength(view, me);
+  const potOdds = legal.callAmount / (view.pot + legal.callAmount || 1);
+
+  if (strength > 0.7 && legal.raise) {
+    const target = view.currentBet + Math.round(view.pot * (0.5 + Math.random() * 0.5));
+    const amount = Math.max(legal.minRaise, Math.min(legal.maxRaise, target));
+    return { action: 'raise', amount };
+  }
+
+  if (legal.check) return { action: 'check' };
+  if (strength > 0.35 || strength > potOdds + 0.1) return { action: 'call' };
+  return { action: 'fold' };
+}
+
+export const BOT_STRATEGIES = {
+  random: randomStrategy,
+  'hand-strength': handStrengthStrategy,
+};
+
+export const BOT_MIN_DELAY = 800;
+export const BOT_MAX_DELAY = 2500;
+
+export function botThinkingTime() {
+  return randomBetween(BOT_MIN_DELAY, BOT_MAX_DELAY);
+}
+
+export function chooseBotAction(strategyName, view, botId) {
+  const strategy = BOT_STRATEGIES[strategyName] || randomStrategy;
+  return strategy({ ...view, botId });
+}
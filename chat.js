@@ -0,0 +1,78 @@
+// Table chat: player messages, emotes and the dealer's running commentary.
+// Each room keeps a bounded history that is replayed to anyone joining.
+import { v4 as uuidv4 } from 'uuid';
+import { formatCards } from './handHistory.js';
+
+export const MAX_CHAT_HISTORY = 100;
+export const MAX_CHAT_MESSAGE_LENGTH = 200;
+export const CHAT_RATE_LIMIT = 5; // messages per socket per window
+export const CHAT_RATE_WINDOW_MS = 10000;
+
+export const EMOTES = ['thumbs-up', 'clap', 'laugh', 'cry', 'angry', 'thinking', 'nice-hand', 'good-luck'];
+
+const STREET_BOARD = [
+  { street: 'Flop', cards: [0, 3] },
+  { street: 'Turn', cards: [3, 4] },
+  { street: 'River', cards: [4, 5] },
+];
+
+export function createChatMessage({ type, playerId = null, name = 'Dealer', text = null, emote = null }) {
+  return { id: uuidv4(), type, playerId, name, text, emote, sentAt: Date.now() };
+}
+
+export function addChatMessage(room, message) {
+  room.chat.push(message);
+  if (room.chat.length > MAX_CHAT_HISTORY) {
+    room.chat.shift();
+  }
+  return message;
+}
+
+export function parseChatText(text) {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (trimmed.length === 0 || trimmed.length > MAX_CHAT_MESSAGE_LENGTH) {
+    return { error: `Messages must be 1 to ${MAX_CHAT_MESSAGE_LENGTH} characters` };
+  }
+  return { text: trimmed };
+}
+
+// Sliding window over a socket's recent send times. Returns the updated
+// window, or null when the socket is over the limit.
+export function takeChatSlot(sentTimes = [], now = Date.now()) {
+  const recent = sentTimes.filter(at => now - at < CHAT_RATE_WINDOW_MS);
+  if (recent.length >= CHAT_RATE_LIMIT) return null;
+  return [...recent, now];
+}
+
+// Dealer lines for one recorded action (see recordAction in handHistory.js)
+export function describeAction(action) {
+  const allIn = action.isAllIn ? ' and is all-in' : '';
+  let autoNote = '';
+  if (action.auto) autoNote = action.auto === 'absent' ? ' (away)' : ' (timed out)';
+  switch (action.type) {
+    case 'fold': return `${action.name} folds${autoNote}`;
+    case 'check': return `${action.name} checks${autoNote}`;
+    case 'call': return `${action.name} calls ${action.amount}${allIn}`;
+    case 'bet': return `${action.name} bets ${action.toAmount}${allIn}`;
+    default: return `${action.name} raises to ${action.toAmount}${allIn}`;
+  }
+}
+
+// Board cards dealt and pots awarded between two states of the same hand
+export function describeProgress(before, after) {
+  const lines = [];
+  for (const { street, cards: [from, to] } of STREET_BOARD) {
+    if (before.communityCards.length < to && after.communityCards.length >= to) {
+      lines.push(`${street}: ${formatCards(after.communityCards.slice(from, to))}`);
+    }
+  }
+
+  if (before.phase !== 'showdown' && after.phase === 'showdown') {
+    for (const winner of after.winners) {
+      lines.push(winner.hand
+        ? `${winner.name} wins ${winner.amount} with ${winner.hand}`
+        : `${winner.name} wins ${winner.amount}`);
+    }
+  }
+  return lines;
+}
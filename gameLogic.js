@@ -1,7 +1,10 @@
+import { createHash, createHmac, randomBytes, randomInt } from 'crypto';
+import { describeHand, encodeCard, evaluateStrength, prepareTables } from './handEvaluator.js';
+
 // Card and deck utilities
 const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
 const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
-const RANK_VALUES = {
+export const RANK_VALUES = {
   '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9,
   '10': 10, 'J': 11, 'Q': 12, 'K': 13, 'A': 14,
 };
@@ -19,238 +22,287 @@ const HAND_RANKINGS = {
   ROYAL_FLUSH: 10,
 };
 
-export function createDeck() {
+// Short deck: a flush is rarer than a full house without the 2-5s
+const SHORT_DECK_RANKINGS = {
+  ...HAND_RANKINGS,
+  FULL_HOUSE: HAND_RANKINGS.FLUSH,
+  FLUSH: HAND_RANKINGS.FULL_HOUSE,
+};
+
+// Game variants. `holeCards` is how many cards each player is dealt;
+// `mustUseHoleCards`, when set, is exactly how many of them a hand must use
+// (the rest comes from the board, Omaha style). `ranks` is the deck, lowest
+// first; the ace also plays below the lowest rank to make the smallest straight.
+export const VARIANTS = {
+  holdem: {
+    name: 'holdem',
+    label: "Hold'em No Limit",
+    holeCards: 2,
+    mustUseHoleCards: null,
+    bettingLimit: 'no-limit',
+    ranks: RANKS,
+    handRankings: HAND_RANKINGS,
+  },
+  plo: {
+    name: 'plo',
+    label: 'Omaha Pot Limit',
+    holeCards: 4,
+    mustUseHoleCards: 2,
+    bettingLimit: 'pot-limit',
+    ranks: RANKS,
+    handRankings: HAND_RANKINGS,
+  },
+  shortdeck: {
+    name: 'shortdeck',
+    label: "6+ Hold'em No Limit",
+    holeCards: 2,
+    mustUseHoleCards: null,
+    bettingLimit: 'no-limit',
+    ranks: RANKS.slice(RANKS.indexOf('6')),
+    handRankings: SHORT_DECK_RANKINGS,
+  },
+};
+
+// Build the evaluator's lookup tables now rather than in the middle of a hand
+Object.values(VARIANTS).forEach(prepareTables);
+
+export function getVariant(name = 'holdem') {
+  return VARIANTS[name];
+}
+
+export function createDeck(variant = VARIANTS.holdem) {
   const deck = [];
   for (const suit of SUITS) {
-    for (const rank of RANKS) {
+    for (const rank of variant.ranks) {
       deck.push({ suit, rank, faceUp: false });
     }
   }
   return deck;
 }
 
-export function shuffleDeck(deck) {
+// Provably fair shuffling. The server commits to sha256(serverSeed) before a
+// hand, mixes in any player-supplied seeds, and reveals serverSeed afterwards
+// so anyone can rebuild the exact deck order.
+export function createSeed() {
+  return randomBytes(32).toString('hex');
+}
+
+export function commitSeed(seed) {
+  return createHash('sha256').update(seed).digest('hex');
+}
+
+export function combineSeeds(serverSeed, clientSeeds = []) {
+  return createHash('sha256').update([serverSeed, ...clientSeeds].join(':')).digest('hex');
+}
+
+// Deterministic stream of 32-bit integers: HMAC-SHA256(seed, counter) blocks
+function seededRandom(seed) {
+  let counter = 0;
+  let block = Buffer.alloc(0);
+  let offset = 0;
+  return () => {
+    if (offset + 4 > block.length) {
+      block = createHmac('sha256', seed).update(String(counter++)).digest();
+      offset = 0;
+    }
+    const value = block.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  };
+}
+
+// Uniform integer in [0, max) by rejection sampling, so there is no modulo bias
+function seededInt(next, max) {
+  const limit = Math.floor(0x100000000 / max) * max;
+  let value;
+  do {
+    value = next();
+  } while (value >= limit);
+  return value % max;
+}
+
+export function shuffleDeck(deck, seed) {
   const shuffled = [...deck];
+  const next = seed === undefined ? null : seededRandom(seed);
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = next ? seededInt(next, i + 1) : randomInt(i + 1);
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 }
 
+// Rebuild a hand's deck order from its revealed seeds
+export function verifyShuffle({ serverSeed, clientSeeds = [], commitment, variant }) {
+  return {
+    commitmentValid: commitSeed(serverSeed) === commitment,
+    deck: shuffleDeck(createDeck(variant), combineSeeds(serverSeed, clientSeeds)),
+  };
+}
+
 export function dealCards(deck, count) {
   const cards = deck.slice(0, count);
   const remainingDeck = deck.slice(count);
   return { cards, remainingDeck };
 }
 
-// Hand evaluation
-function sortByRank(cards) {
-  return [...cards].sort((a, b) => RANK_VALUES[b.rank] - RANK_VALUES[a.rank]);
-}
-
-function groupBySuit(cards) {
-  const groups = new Map();
-  for (const card of cards) {
-    const existing = groups.get(card.suit) || [];
-    groups.set(card.suit, [...existing, card]);
-  }
-  return groups;
+// Hand evaluation. The heavy lifting is done by lookup tables in
+// handEvaluator.js; hands are returned as { rank, name, cards, kickers,
+// strength }, where cards then kickers are exactly the best five cards in
+// canonical order.
+export function combinations(cards, size) {
+  if (size === 0) return [[]];
+  if (cards.length < size) return [];
+  const [first, ...rest] = cards;
+  return [
+    ...combinations(rest, size - 1).map(combo => [first, ...combo]),
+    ...combinations(rest, size),
+  ];
 }
 
-function groupByRank(cards) {
-  const groups = new Map();
-  for (const card of cards) {
-    const existing = groups.get(card.rank) || [];
-    groups.set(card.rank, [...existing, card]);
+// Strength of the best hand as a single comparable integer, without building
+// the display shape
+export function handStrength(holeCards, communityCards, variant = VARIANTS.holdem) {
+  if (!variant.mustUseHoleCards) {
+    return evaluateStrength([...holeCards, ...communityCards].map(encodeCard), variant);
   }
-  return groups;
+  return bestOmahaHand(holeCards, communityCards, variant).strength;
 }
 
-function findFlush(cards) {
-  const bySuit = groupBySuit(cards);
-  for (const [, suited] of bySuit) {
-    if (suited.length >= 5) {
-      return sortByRank(suited).slice(0, 5);
+// Exactly N hole cards plus 5 - N board cards; try every combination.
+// Combinations are of card indexes so each card is only encoded once.
+function bestOmahaHand(holeCards, communityCards, variant) {
+  const holeCodes = holeCards.map(encodeCard);
+  const boardCodes = communityCards.map(encodeCard);
+  const fromHand = variant.mustUseHoleCards;
+  const fromBoard = Math.min(5 - fromHand, communityCards.length);
+  const holeCombos = combinations([...holeCards.keys()], fromHand);
+  const boardCombos = combinations([...communityCards.keys()], fromBoard);
+
+  let best = null;
+  for (const hole of holeCombos) {
+    for (const board of boardCombos) {
+      const codes = [...hole.map(i => holeCodes[i]), ...board.map(i => boardCodes[i])];
+      const strength = evaluateStrength(codes, variant);
+      if (!best || strength > best.strength) best = { hole, board, strength };
     }
   }
-  return null;
+  return {
+    cards: [...best.hole.map(i => holeCards[i]), ...best.board.map(i => communityCards[i])],
+    strength: best.strength,
+  };
 }
 
-function findStraight(cards) {
-  const uniqueRanks = new Map();
-  for (const card of cards) {
-    const value = RANK_VALUES[card.rank];
-    if (!uniqueRanks.has(value)) {
-      uniqueRanks.set(value, card);
-    }
-  }
-
-  const ace = cards.find(c => c.rank === 'A');
-  if (ace) {
-    uniqueRanks.set(1, ace);
-  }
-
-  const values = Array.from(uniqueRanks.keys()).sort((a, b) => b - a);
-
-  for (let i = 0; i <= values.length - 5; i++) {
-    const sequence = [];
-    let isSequence = true;
-
-    for (let j = 0; j < 5; j++) {
-      const expectedValue = values[i] - j;
-      if (values[i + j] !== expectedValue) {
-        isSequence = false;
-        break;
-      }
-      sequence.push(uniqueRanks.get(expectedValue));
-    }
-
-    if (isSequence) {
-      return sequence;
-    }
+export function evaluateHand(holeCards, communityCards, variant = VARIANTS.holdem) {
+  if (!variant.mustUseHoleCards) {
+    const cards = [...holeCards, ...communityCards];
+    return describeHand(cards, evaluateStrength(cards.map(encodeCard), variant), variant);
   }
-
-  return null;
+  const { cards, strength } = bestOmahaHand(holeCards, communityCards, variant);
+  return describeHand(cards, strength, variant);
 }
 
-function findStraightFlush(cards) {
-  const bySuit = groupBySuit(cards);
-  for (const [, suited] of bySuit) {
-    if (suited.length >= 5) {
-      const straight = findStraight(suited);
-      if (straight) {
-        return straight;
-      }
-    }
-  }
-  return null;
+export function bestFive(hand) {
+  return [...hand.cards, ...hand.kickers];
 }
 
-export function evaluateHand(holeCards, communityCards) {
-  const allCards = [...holeCards, ...communityCards];
-  const sorted = sortByRank(allCards);
-  const byRank = groupByRank(allCards);
-
-  const straightFlush = findStraightFlush(allCards);
-  if (straightFlush) {
-    const isRoyal = RANK_VALUES[straightFlush[0].rank] === 14;
-    return {
-      rank: isRoyal ? HAND_RANKINGS.ROYAL_FLUSH : HAND_RANKINGS.STRAIGHT_FLUSH,
-      name: isRoyal ? 'Royal Flush' : 'Straight Flush',
-      cards: straightFlush,
-      kickers: [],
-    };
+// Category first, then the five cards rank by rank. Nothing outside the best
+// five plays, so a sixth card can never break a tie.
+export function compareHands(hand1, hand2) {
+  if (hand1.rank !== hand2.rank) {
+    return hand1.rank - hand2.rank;
   }
 
-  const pairs = [];
-  const threes = [];
-  const fours = [];
-
-  for (const [, group] of byRank) {
-    if (group.length === 4) fours.push(group);
-    else if (group.length === 3) threes.push(group);
-    else if (group.length === 2) pairs.push(group);
+  const five1 = bestFive(hand1);
+  const five2 = bestFive(hand2);
+  for (let i = 0; i < 5; i++) {
+    const diff = (RANK_VALUES[five1[i]?.rank] || 0) - (RANK_VALUES[five2[i]?.rank] || 0);
+    if (diff !== 0) return diff;
   }
+  return 0;
+}
 
-  pairs.sort((a, b) => RANK_VALUES[b[0].rank] - RANK_VALUES[a[0].rank]);
-  threes.sort((a, b) => RANK_VALUES[b[0].rank] - RANK_VALUES[a[0].rank]);
-  fours.sort((a, b) => RANK_VALUES[b[0].rank] - RANK_VALUES[a[0].rank]);
-
-  if (fours.length > 0) {
-    const kickers = sorted.filter(c => c.rank !== fours[0][0].rank).slice(0, 1);
-    return {
-      rank: HAND_RANKINGS.FOUR_OF_A_KIND,
-      name: 'Four of a Kind',
-      cards: fours[0],
-      kickers,
-    };
-  }
+// Card notation used by the HTTP API: rank then suit letter, e.g. "Ah", "Td", "10c"
+const SUIT_BY_LETTER = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' };
 
-  if (threes.length > 0 && (pairs.length > 0 || threes.length > 1)) {
-    const tripCards = threes[0];
-    const pairCards = threes.length > 1 ? threes[1].slice(0, 2) : pairs[0];
-    return {
-      rank: HAND_RANKINGS.FULL_HOUSE,
-      name: 'Full House',
-      cards: [...tripCards, ...pairCards],
-      kickers: [],
-    };
-  }
+export function parseCard(text) {
+  const match = /^(10|[2-9TJQKA])([hdcs])$/i.exec(String(text).trim());
+  if (!match) return null;
+  const rank = match[1].toUpperCase() === 'T' ? '10' : match[1].toUpperCase();
+  return { rank, suit: SUIT_BY_LETTER[match[2].toLowerCase()] };
+}
 
-  const flush = findFlush(allCards);
-  if (flush) {
-    return {
-      rank: HAND_RANKINGS.FLUSH,
-      name: 'Flush',
-      cards: flush,
-      kickers: [],
-    };
-  }
+// Equity calculation. Runouts are enumerated exactly when there are at most
+// EXACT_RUNOUT_LIMIT of them (and no more than `samples`), otherwise sampled
+// at random.
+const EXACT_RUNOUT_LIMIT = 5000;
+const DEFAULT_SAMPLES = 5000;
 
-  const straight = findStraight(allCards);
-  if (straight) {
-    return {
-      rank: HAND_RANKINGS.STRAIGHT,
-      name: 'Straight',
-      cards: straight,
-      kickers: [],
-    };
+export function countCombinations(n, k) {
+  let result = 1;
+  for (let i = 0; i < k; i++) {
+    result = (result * (n - i)) / (i + 1);
   }
+  return Math.round(result);
+}
 
-  if (threes.length > 0) {
-    const kickers = sorted.filter(c => c.rank !== threes[0][0].rank).slice(0, 2);
-    return {
-      rank: HAND_RANKINGS.THREE_OF_A_KIND,
-      name: 'Three of a Kind',
-      cards: threes[0],
-      kickers,
-    };
+function sampleCards(cards, count) {
+  const pool = [...cards];
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(Math.random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
   }
+  return pool.slice(0, count);
+}
 
-  if (pairs.length >= 2) {
-    const usedRanks = [pairs[0][0].rank, pairs[1][0].rank];
-    const kickers = sorted.filter(c => !usedRanks.includes(c.rank)).slice(0, 1);
-    return {
-      rank: HAND_RANKINGS.TWO_PAIR,
-      name: 'Two Pair',
-      cards: [...pairs[0], ...pairs[1]],
-      kickers,
-    };
-  }
+export function calculateEquity({
+  hands,
+  board = [],
+  dead = [],
+  variant = VARIANTS.holdem,
+  samples = DEFAULT_SAMPLES,
+}) {
+  const cardKey = c => `${c.rank}${c.suit}`;
+  const used = new Set([...hands.flat(), ...board, ...dead].map(cardKey));
+  const remaining = createDeck(variant).filter(c => !used.has(cardKey(c)));
+  const needed = 5 - board.length;
+
+  const runoutCount = countCombinations(remaining.length, needed);
+  const exact = runoutCount <= Math.min(EXACT_RUNOUT_LIMIT, samples);
+  const runouts = exact
+    ? combinations(remaining, needed)
+    : Array.from({ length: samples }, () => sampleCards(remaining, needed));
+
+  const wins = hands.map(() => 0);
+  const ties = hands.map(() => 0);
+  const shares = hands.map(() => 0);
+
+  for (const runout of runouts) {
+    const fullBoard = [...board, ...runout];
+    const strengths = hands.map(hand => handStrength(hand, fullBoard, variant));
+
+    let best = [0];
+    for (let i = 1; i < strengths.length; i++) {
+      const diff = strengths[i] - strengths[best[0]];
+      if (diff > 0) best = [i];
+      else if (diff === 0) best.push(i);
+    }
 
-  if (pairs.length === 1) {
-    const kickers = sorted.filter(c => c.rank !== pairs[0][0].rank).slice(0, 3);
-    return {
-      rank: HAND_RANKINGS.PAIR,
-      name: 'Pair',
-      cards: pairs[0],
-      kickers,
-    };
+    for (const i of best) {
+      if (best.length === 1) wins[i] += 1;
+      else ties[i] += 1;
+      shares[i] += 1 / best.length;
+    }
   }
 
+  const total = runouts.length;
+  const percent = n => Math.round((n / total) * 10000) / 100;
   return {
-    rank: HAND_RANKINGS.HIGH_CARD,
-    name: 'High Card',
-    cards: sorted.slice(0, 1),
-    kickers: sorted.slice(1, 5),
+    method: exact ? 'exact' : 'monte-carlo',
+    runouts: total,
+    players: hands.map((_, i) => ({
+      win: percent(wins[i]),
+      tie: percent(ties[i]),
+      equity: percent(shares[i]),
+    })),
   };
 }
-
-export function compareHands(hand1, hand2) {
-  if (hand1.rank !== hand2.rank) {
-    return hand1.rank - hand2.rank;
-  }
-
-  for (let i = 0; i < hand1.cards.length && i < hand2.cards.length; i++) {
-    const diff = RANK_VALUES[hand1.cards[i].rank] - RANK_VALUES[hand2.cards[i].rank];
-    if (diff !== 0) return diff;
-  }
-
-  for (let i = 0; i < hand1.kickers.length && i < hand2.kickers.length; i++) {
-    const diff = RANK_VALUES[hand1.kickers[i].rank] - RANK_VALUES[hand2.kickers[i].rank];
-    if (diff !== 0) return diff;
-  }
-
-  return 0;
-}
@@ -0,0 +1,304 @@
+// Fast hand evaluation with precomputed lookup tables.
+//
+// Cards are encoded as small integers, rankIndex * 4 + suitIndex, with ranks
+// indexed 0-12 from '2' to 'A'. A hand's strength is a single integer:
+//
+//   category * 0x100000 + five 4-bit rank values in canonical order
+//
+// where category comes from the variant's hand rankings, so strengths from the
+// same variant compare directly with `-`.
+//
+// Non-flush hands only depend on how many cards of each rank there are. Those
+// counts are perfect-hashed (as a base-5 sequence ranked among all sequences
+// with the same card total) into a table per hand size. Flushes are looked up
+// by the 13-bit mask of ranks in the flush suit.
+
+const RANK_ORDER = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+const SUIT_ORDER = ['hearts', 'diamonds', 'clubs', 'spades'];
+const RANK_INDEX = Object.fromEntries(RANK_ORDER.map((rank, i) => [rank, i]));
+const SUIT_INDEX = Object.fromEntries(SUIT_ORDER.map((suit, i) => [suit, i]));
+const ACE = RANK_INDEX.A;
+
+const CATEGORY_SHIFT = 0x100000;
+const TABLE_SIZES = [5, 6, 7];
+const MAX_TABLE_CARDS = 7;
+
+const HAND_NAMES = {
+  HIGH_CARD: 'High Card',
+  PAIR: 'Pair',
+  TWO_PAIR: 'Two Pair',
+  THREE_OF_A_KIND: 'Three of a Kind',
+  STRAIGHT: 'Straight',
+  FLUSH: 'Flush',
+  FULL_HOUSE: 'Full House',
+  FOUR_OF_A_KIND: 'Four of a Kind',
+  STRAIGHT_FLUSH: 'Straight Flush',
+  ROYAL_FLUSH: 'Royal Flush',
+};
+
+export function encodeCard({ rank, suit }) {
+  return RANK_INDEX[rank] * 4 + SUIT_INDEX[suit];
+}
+
+// Perfect hash for rank counts. ways[n][s] is how many length-n sequences of
+// counts 0-4 sum to s; offsets[i][c][s] is how many sequences sort before one
+// with count c at rank i when s cards are still to place.
+const ways = Array.from({ length: 14 }, () => new Array(MAX_TABLE_CARDS + 1).fill(0));
+ways[0][0] = 1;
+for (let n = 1; n <= 13; n++) {
+  for (let s = 0; s <= MAX_TABLE_CARDS; s++) {
+    for (let c = 0; c <= 4 && c <= s; c++) {
+      ways[n][s] += ways[n - 1][s - c];
+    }
+  }
+}
+
+const offsets = RANK_ORDER.map((_, i) =>
+  Array.from({ length: 5 }, (__, count) =>
+    Array.from({ length: MAX_TABLE_CARDS + 1 }, (___, remaining) => {
+      let sum = 0;
+      for (let c = 0; c < count && c <= remaining; c++) {
+        sum += ways[12 - i][remaining - c];
+      }
+      return sum;
+    })
+  )
+);
+
+function hashCounts(counts, total) {
+  let hash = 0;
+  let remaining = total;
+  for (let i = 0; i < 13 && remaining > 0; i++) {
+    hash += offsets[i][counts[i]][remaining];
+    remaining -= counts[i];
+  }
+  return hash;
+}
+
+function packStrength(category, values) {
+  let strength = 0;
+  for (let i = 0; i < 5; i++) {
+    strength = strength * 16 + (values[i] || 0);
+  }
+  return category * CATEGORY_SHIFT + strength;
+}
+
+// Straights for a variant as [rankMask, values] from highest to lowest. The
+// ace also plays below the lowest rank in the deck.
+function buildStraights(variant) {
+  const indexes = variant.ranks.map(rank => RANK_INDEX[rank]);
+  const ladder = [ACE, ...indexes];
+  const straights = [];
+  for (let top = ladder.length - 1; top >= 4; top--) {
+    const run = ladder.slice(top - 4, top + 1).reverse();
+    straights.push([
+      run.reduce((mask, r) => mask | (1 << r), 0),
+      run.map(r => r + 2),
+    ]);
+  }
+  return straights;
+}
+
+function findStraightValues(rankMask, straights) {
+  for (const [mask, values] of straights) {
+    if ((rankMask & mask) === mask) return values;
+  }
+  return null;
+}
+
+// Best non-flush hand for a set of rank counts
+function strengthFromCounts(counts, variant, straights) {
+  const rankings = variant.handRankings;
+  const groups = [];
+  let rankMask = 0;
+  for (let r = 12; r >= 0; r--) {
+    if (counts[r] > 0) {
+      groups.push([counts[r], r + 2]);
+      rankMask |= 1 << r;
+    }
+  }
+  groups.sort((a, b) => b[0] - a[0] || b[1] - a[1]);
+
+  const singlesAfter = (skip, n) => groups
+    .map(([, value]) => value)
+    .filter(value => !skip.includes(value))
+    .sort((a, b) => b - a)
+    .slice(0, n);
+
+  const candidates = [];
+  const [topCount, topValue] = groups[0];
+
+  if (topCount >= 4) {
+    candidates.push(packStrength(rankings.FOUR_OF_A_KIND,
+      [topValue, topValue, topValue, topValue, ...singlesAfter([topValue], 1)]));
+  }
+
+  if (topCount >= 3) {
+    const pairValue = groups.slice(1).find(([count]) => count >= 2)?.[1];
+    if (pairValue) {
+      candidates.push(packStrength(rankings.FULL_HOUSE,
+        [topValue, topValue, topValue, pairValue, pairValue]));
+    }
+    candidates.push(packStrength(rankings.THREE_OF_A_KIND,
+      [topValue, topValue, topValue, ...singlesAfter([topValue], 2)]));
+  }
+
+  const straight = findStraightValues(rankMask, straights);
+  if (straight) {
+    candidates.push(packStrength(rankings.STRAIGHT, straight));
+  }
+
+  const pairs = groups.filter(([count]) => count >= 2).map(([, value]) => value);
+  if (pairs.length >= 2) {
+    const [high, low] = pairs.sort((a, b) => b - a);
+    candidates.push(packStrength(rankings.TWO_PAIR,
+      [high, high, low, low, ...singlesAfter([high, low], 1)]));
+  }
+  if (pairs.length >= 1) {
+    const [high] = pairs;
+    candidates.push(packStrength(rankings.PAIR, [high, high, ...singlesAfter([high], 3)]));
+  }
+
+  candidates.push(packStrength(rankings.HIGH_CARD, singlesAfter([], 5)));
+  return Math.max(...candidates);
+}
+
+// Best flush or straight flush from the ranks held in one suit
+function strengthFromFlushMask(rankMask, variant, straights) {
+  const rankings = variant.handRankings;
+  const straight = findStraightValues(rankMask, straights);
+  if (straight) {
+    const category = straight[0] === 14 ? rankings.ROYAL_FLUSH : rankings.STRAIGHT_FLUSH;
+    return packStrength(category, straight);
+  }
+
+  const values = [];
+  for (let r = 12; r >= 0 && values.length < 5; r--) {
+    if (rankMask & (1 << r)) values.push(r + 2);
+  }
+  return packStrength(rankings.FLUSH, values);
+}
+
+function enumerateCounts(total, visit, counts = new Uint8Array(13), index = 0) {
+  if (index === 13) {
+    if (total === 0) visit(counts);
+    return;
+  }
+  for (let c = 0; c <= 4 && c <= total; c++) {
+    counts[index] = c;
+    enumerateCounts(total - c, visit, counts, index + 1);
+  }
+  counts[index] = 0;
+}
+
+function popcount(mask) {
+  let count = 0;
+  for (let m = mask; m; m &= m - 1) count++;
+  return count;
+}
+
+const tablesByVariant = new Map();
+
+// Build a variant's tables ahead of its first hand; this takes a few hundred
+// milliseconds, so gameLogic.js does it for every variant at startup
+export function prepareTables(variant) {
+  let tables = tablesByVariant.get(variant.name);
+  if (tables) return tables;
+
+  const straights = buildStraights(variant);
+  const noFlush = [];
+  for (const total of TABLE_SIZES) {
+    const table = new Int32Array(ways[13][total]);
+    enumerateCounts(total, (counts) => {
+      table[hashCounts(counts, total)] = strengthFromCounts(counts, variant, straights);
+    });
+    noFlush[total] = table;
+  }
+
+  const flush = new Int32Array(1 << 13);
+  for (let mask = 0; mask < flush.length; mask++) {
+    if (popcount(mask) >= 5) {
+      flush[mask] = strengthFromFlushMask(mask, variant, straights);
+    }
+  }
+
+  tables = { straights, noFlush, flush };
+  tablesByVariant.set(variant.name, tables);
+  return tables;
+}
+
+const scratchCounts = new Uint8Array(13);
+const scratchSuitMasks = new Int32Array(4);
+const scratchSuitCounts = new Uint8Array(4);
+
+// Strength of the best five-card hand in a list of encoded cards
+export function evaluateStrength(codes, variant) {
+  const tables = tablesByVariant.get(variant.name) ?? prepareTables(variant);
+  scratchCounts.fill(0);
+  scratchSuitMasks.fill(0);
+  scratchSuitCounts.fill(0);
+
+  for (let i = 0; i < codes.length; i++) {
+    const rank = codes[i] >> 2;
+    const suit = codes[i] & 3;
+    scratchCounts[rank]++;
+    scratchSuitMasks[suit] |= 1 << rank;
+    scratchSuitCounts[suit]++;
+  }
+
+  const total = codes.length;
+  let strength = total >= 5 && total <= MAX_TABLE_CARDS
+    ? tables.noFlush[total][hashCounts(scratchCounts, total)]
+    : strengthFromCounts(scratchCounts, variant, tables.straights);
+
+  for (let suit = 0; suit < 4; suit++) {
+    if (scratchSuitCounts[suit] >= 5) {
+      strength = Math.max(strength, tables.flush[scratchSuitMasks[suit]]);
+    }
+  }
+  return strength;
+}
+
+export function decodeStrength(strength) {
+  const values = [];
+  for (let i = 4; i >= 0; i--) {
+    values.push((strength >> (i * 4)) & 0xf);
+  }
+  return { category: Math.floor(strength / CATEGORY_SHIFT), values };
+}
+
+// Turn a strength back into the display shape: the cards that make the hand
+// plus kickers, picked from the actual cards held
+export function describeHand(cards, strength, variant) {
+  const { category, values } = decodeStrength(strength);
+  const key = Object.keys(variant.handRankings).find(k => variant.handRankings[k] === category);
+  const available = [...cards];
+
+  let suit = null;
+  if (['FLUSH', 'STRAIGHT_FLUSH', 'ROYAL_FLUSH'].includes(key)) {
+    suit = SUIT_ORDER.find(s => cards.filter(c => c.suit === s).length >= 5);
+  }
+
+  const take = (value) => {
+    const index = available.findIndex(c => RANK_INDEX[c.rank] + 2 === value
+      && (!suit || c.suit === suit));
+    return index === -1 ? null : available.splice(index, 1)[0];
+  };
+  const picked = values.filter(v => v > 0).map(take).filter(Boolean);
+
+  const madeCount = {
+    FOUR_OF_A_KIND: 4,
+    THREE_OF_A_KIND: 3,
+    TWO_PAIR: 4,
+    PAIR: 2,
+    HIGH_CARD: 1,
+  }[key] ?? 5;
+
+  return {
+    rank: category,
+    name: HAND_NAMES[key],
+    cards: picked.slice(0, madeCount),
+    kickers: picked.slice(madeCount),
+    strength,
+  };
+}
@@ -0,0 +1,387 @@
+// Hand history recording and export
+import { evaluateHand, getVariant, verifyShuffle } from './gameLogic.js';
+
+const STREETS = ['preflop', 'flop', 'turn', 'river'];
+const SUIT_LETTERS = { hearts: 'h', diamonds: 'd', clubs: 'c', spades: 's' };
+
+function plainCard({ rank, suit }) {
+  return { rank, suit };
+}
+
+// Start recording a freshly dealt hand. Stacks are taken from before the blinds.
+export function startHandHistory({ roomCode, handNumber, maxPlayers, gameState }) {
+  const { players } = gameState;
+  const dealtIn = players
+    .map((player, index) => ({ player, seat: index + 1 }))
+    .filter(({ player }) => player.cards.length > 0);
+
+  const blinds = [
+    { index: gameState.smallBlindIndex, type: 'small' },
+    { index: gameState.bigBlindIndex, type: 'big' },
+  ].filter(({ index }) => index !== null).map(({ index, type }) => ({
+    playerId: players[index].id,
+    name: players[index].name,
+    type,
+    amount: players[index].currentBet,
+  }));
+
+  // Whatever a player put in beyond their blind is their ante
+  const antes = dealtIn
+    .map(({ player }) => ({
+      playerId: player.id,
+      name: player.name,
+      amount: player.totalContribution - player.currentBet,
+    }))
+    .filter(ante => ante.amount > 0);
+
+  return {
+    roomCode,
+    handNumber,
+    startedAt: Date.now(),
+    endedAt: null,
+    maxPlayers,
+    variant: gameState.variant,
+    smallBlind: gameState.blinds.smallBlind,
+    bigBlind: gameState.blinds.bigBlind,
+    ante: gameState.blinds.ante,
+    buttonSeat: gameState.dealerIndex + 1,
+    seats: dealtIn.map(({ player, seat }) => ({
+      seat,
+      playerId: player.id,
+      name: player.name,
+      startingChips: player.chips + player.totalContribution,
+    })),
+    antes,
+    blinds,
+    holeCards: Object.fromEntries(
+      dealtIn.map(({ player }) => [player.id, player.cards.map(plainCard)])
+    ),
+    actions: [],
+    board: [],
+    result: null,
+    fairness: { ...gameState.fairness },
+  };
+}
+
+// Record one processAction call from the states before and after it. `auto`
+// is false, or why the server acted for the player ('timeout' or 'absent').
+export function recordAction(history, before, after, playerId, { auto = false } = {}) {
+  const previous = before.players.find(p => p.id === playerId);
+  const current = after.players.find(p => p.id === playerId);
+  const chipsIn = current.totalContribution - previous.totalContribution;
+  const toAmount = previous.currentBet + chipsIn;
+
+  let type;
+  if (current.folded && !previous.folded) type = 'fold';
+  else if (chipsIn === 0) type = 'check';
+  else if (toAmount <= before.currentBet) type = 'call';
+  else type = before.currentBet === 0 ? 'bet' : 'raise';
+
+  history.actions.push({
+    street: before.phase,
+    playerId,
+    name: current.name,
+    type,
+    amount: chipsIn,
+    toAmount,
+    raiseBy: type === 'raise' ? toAmount - before.currentBet : 0,
+    isAllIn: current.isAllIn && !previous.isAllIn,
+    auto,
+  });
+}
+
+// Pick up any newly dealt board cards and, once the hand is over, its results
+export function recordProgress(history, gameState) {
+  if (gameState.communityCards.length > history.board.length) {
+    history.board = gameState.communityCards.map(plainCard);
+  }
+
+  if (gameState.phase !== 'showdown' || history.result) return;
+
+  const live = gameState.players.filter(p => !p.folded);
+
+  history.endedAt = Date.now();
+  history.fairness = { ...gameState.fairness };
+  history.result = {
+    wentToShowdown: live.length > 1,
+    showdownOrder: gameState.showdownOrder,
+    shown: [],
+    mucked: [],
+    pots: gameState.pots,
+    winners: gameState.winners,
+    contributions: Object.fromEntries(
+      gameState.players
+        .filter(p => p.cards.length > 0)
+        .map(p => [p.id, p.totalContribution])
+    ),
+    finalChips: Object.fromEntries(gameState.players.map(p => [p.id, p.chips])),
+  };
+  recordReveals(history, gameState);
+}
+
+// Copy which hands are face up or mucked; called again whenever a player
+// shows or mucks after the hand is over
+export function recordReveals(history, gameState) {
+  if (!history.result) return;
+
+  const variant = getVariant(gameState.variant);
+  history.result.shown = gameState.shownPlayerIds.map((id) => {
+    const player = gameState.players.find(p => p.id === id);
+    return {
+      playerId: id,
+      name: player.name,
+      cards: player.cards.map(plainCard),
+      hand: evaluateHand(player.cards, gameState.communityCards, variant).name,
+    };
+  });
+  history.result.mucked = [...gameState.muckedPlayerIds];
+}
+
+// A copy of the history with hole cards limited to the viewer's own and any shown
+export function getHistoryView(history, viewerId) {
+  const shownIds = new Set((history.result?.shown || []).map(s => s.playerId));
+  return {
+    ...history,
+    holeCards: Object.fromEntries(
+      Object.entries(history.holeCards).filter(
+        ([playerId]) => playerId === viewerId || shownIds.has(playerId)
+      )
+    ),
+  };
+}
+
+// Rebuild the deck from the revealed seeds and check that the recorded deal
+// came off it in order: the variant's hole cards per seat (two in hold'em,
+// four in Omaha), then burn-and-turn streets.
+export function verifyHandHistory(history) {
+  const { commitment, serverSeed, clientSeeds } = history.fairness;
+  const { commitmentValid, deck } = verifyShuffle({
+    serverSeed,
+    commitment,
+    clientSeeds: clientSeeds.map(c => c.seed),
+    variant: getVariant(history.variant),
+  });
+
+  const sameCard = (a, b) => a.rank === b.rank && a.suit === b.suit;
+  const holeCards = history.seats.flatMap(s => history.holeCards[s.playerId]);
+  const afterHoles = holeCards.length;
+  const boardPositions = [1, 2, 3, 5, 7].map(offset => afterHoles + offset);
+
+  const dealMatches = holeCards.every((card, i) => sameCard(card, deck[i]))
+    && history.board.every((card, i) => sameCard(card, deck[boardPositions[i]]));
+
+  return {
+    commitment,
+    serverSeed,
+    clientSeeds,
+    commitmentValid,
+    dealMatches,
+    deck: deck.map(plainCard),
+  };
+}
+
+// PokerStars-style text export
+
+function formatCard({ rank, suit }) {
+  return `${rank === '10' ? 'T' : rank}${SUIT_LETTERS[suit]}`;
+}
+
+export function formatCards(cards) {
+  return `[${cards.map(formatCard).join(' ')}]`;
+}
+
+function formatTimestamp(ms) {
+  const date = new Date(ms);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())} `
+    + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} UTC`;
+}
+
+function formatAction(action) {
+  const allIn = action.isAllIn ? ' and is all-in' : '';
+  switch (action.type) {
+    case 'fold': return `${action.name}: folds`;
+    case 'check': return `${action.name}: checks`;
+    case 'call': return `${action.name}: calls ${action.amount}${allIn}`;
+    case 'bet': return `${action.name}: bets ${action.toAmount}${allIn}`;
+    default: return `${action.name}: raises ${action.raiseBy} to ${action.toAmount}${allIn}`;
+  }
+}
+
+function potLabel(index, count) {
+  if (count === 1) return 'pot';
+  return index === 0 ? 'main pot' : `side pot-${index}`;
+}
+
+// The part of a player's bet nobody else matched
+function unmatchedBet(result, playerId) {
+  const ownBet = result.contributions[playerId] || 0;
+  const highestOther = Math.max(0, ...Object.entries(result.contributions)
+    .filter(([id]) => id !== playerId)
+    .map(([, amount]) => amount));
+  return Math.max(0, ownBet - highestOther);
+}
+
+// Split the recorded pots into contested pots and uncalled bets. Only the
+// unmatched part of a player's own bet comes back to them; anything else in a
+// pot only they could win, such as chips from players who folded, is won.
+function settlePots(result) {
+  if (!result.wentToShowdown) {
+    const [winner] = result.winners;
+    const uncalled = unmatchedBet(result, winner.id);
+    return {
+      uncalled: uncalled > 0 ? [{ name: winner.name, amount: uncalled }] : [],
+      contested: [{
+        amount: winner.amount - uncalled,
+        winners: [{ ...winner, amount: winner.amount - uncalled }],
+      }],
+    };
+  }
+
+  // Uncalled chips sit in the top pots, so hand them back from the last pot down
+  const uncalled = [];
+  const contested = [];
+  const toReturn = new Map();
+  for (const pot of [...result.pots].reverse()) {
+    if (pot.eligiblePlayerIds.length > 1) {
+      contested.unshift(pot);
+      continue;
+    }
+
+    const [winner] = pot.winners;
+    const left = toReturn.get(winner.id) ?? unmatchedBet(result, winner.id);
+    const returned = Math.min(left, pot.amount);
+    toReturn.set(winner.id, left - returned);
+    if (returned > 0) {
+      uncalled.unshift({ name: winner.name, amount: returned });
+    }
+    if (pot.amount > returned) {
+      const won = pot.amount - returned;
+      contested.unshift({ ...pot, amount: won, winners: [{ ...winner, amount: won }] });
+    }
+  }
+  return { uncalled, contested };
+}
+
+export function formatPokerStars(history, viewerId) {
+  const view = getHistoryView(history, viewerId);
+  const { result } = view;
+  const lines = [];
+  const nameOf = id => view.seats.find(s => s.playerId === id)?.name;
+
+  lines.push(
+    `PokerStars Hand #${view.startedAt}${String(view.handNumber).padStart(4, '0')}: `
+    + `${getVariant(view.variant).label} (${view.smallBlind}/${view.bigBlind}) - ${formatTimestamp(view.startedAt)}`
+  );
+  lines.push(`Table '${view.roomCode}' ${view.maxPlayers}-max Seat #${view.buttonSeat} is the button`);
+  for (const seat of view.seats) {
+    lines.push(`Seat ${seat.seat}: ${seat.name} (${seat.startingChips} in chips)`);
+  }
+  for (const ante of view.antes) {
+    lines.push(`${ante.name}: posts the ante ${ante.amount}`);
+  }
+  for (const blind of view.blinds) {
+    lines.push(`${blind.name}: posts ${blind.type} blind ${blind.amount}`);
+  }
+
+  lines.push('*** HOLE CARDS ***');
+  if (viewerId && view.holeCards[viewerId]) {
+    lines.push(`Dealt to ${nameOf(viewerId)} ${formatCards(view.holeCards[viewerId])}`);
+  }
+
+  const boardByStreet = {
+    flop: view.board.slice(0, 3),
+    turn: view.board.slice(3, 4),
+    river: view.board.slice(4, 5),
+  };
+  for (const street of STREETS) {
+    if (street !== 'preflop') {
+      if (boardByStreet[street].length === 0) break;
+      const previous = street === 'flop' ? [] : view.board.slice(0, street === 'turn' ? 3 : 4);
+      const header = `*** ${street.toUpperCase()} ***`;
+      lines.push(previous.length > 0
+        ? `${header} ${formatCards(previous)} ${formatCards(boardByStreet[street])}`
+        : `${header} ${formatCards(boardByStreet[street])}`);
+    }
+    for (const action of view.actions.filter(a => a.street === street)) {
+      lines.push(formatAction(action));
+    }
+  }
+
+  if (!result) return lines.join('\n');
+
+  const { uncalled, contested } = settlePots(result);
+  for (const { name, amount } of uncalled) {
+    lines.push(`Uncalled bet (${amount}) returned to ${name}`);
+  }
+
+  const shownLine = shown => `${shown.name}: shows ${formatCards(shown.cards)} (${shown.hand})`;
+  if (result.wentToShowdown) {
+    lines.push('*** SHOW DOWN ***');
+    // Live hands that were never turned up count as mucked
+    for (const playerId of result.showdownOrder) {
+      const shown = result.shown.find(s => s.playerId === playerId);
+      const seat = view.seats.find(s => s.playerId === playerId);
+      lines.push(shown ? shownLine(shown) : `${seat.name}: mucks hand`);
+    }
+  }
+
+  contested.forEach((pot, index) => {
+    for (const winner of pot.winners) {
+      lines.push(`${winner.name} collected ${winner.amount} from ${potLabel(index, contested.length)}`);
+    }
+  });
+
+  if (!result.wentToShowdown) {
+    for (const winner of result.winners) {
+      const shown = result.shown.find(s => s.playerId === winner.id);
+      lines.push(shown ? shownLine(shown) : `${winner.name}: doesn't show hand`);
+    }
+  }
+
+  const total = contested.reduce((sum, pot) => sum + pot.amount, 0);
+  const potBreakdown = contested.length > 1
+    ? ` ${contested.map((pot, i) => `${potLabel(i, contested.length).replace(/^./, c => c.toUpperCase())} ${pot.amount}.`).join(' ')}`
+    : '';
+
+  lines.push('*** SUMMARY ***');
+  lines.push(`Total pot ${total}${potBreakdown} | Rake 0`);
+  if (view.board.length > 0) {
+    lines.push(`Board ${formatCards(view.board)}`);
+  }
+
+  const won = new Map();
+  for (const pot of contested) {
+    for (const winner of pot.winners) {
+      won.set(winner.id, (won.get(winner.id) || 0) + winner.amount);
+    }
+  }
+
+  for (const seat of view.seats) {
+    const roles = [];
+    if (seat.seat === view.buttonSeat) roles.push('button');
+    for (const blind of view.blinds) {
+      if (blind.playerId === seat.playerId) roles.push(`${blind.type} blind`);
+    }
+    const label = `Seat ${seat.seat}: ${seat.name}${roles.length ? ` (${roles.join(') (')})` : ''}`;
+
+    const fold = view.actions.find(a => a.playerId === seat.playerId && a.type === 'fold');
+    const shown = result.shown.find(s => s.playerId === seat.playerId);
+    if (fold) {
+      const when = fold.street === 'preflop' ? 'before Flop' : `on the ${fold.street[0].toUpperCase()}${fold.street.slice(1)}`;
+      lines.push(`${label} folded ${when}`);
+    } else if (shown) {
+      lines.push(won.has(seat.playerId)
+        ? `${label} showed ${formatCards(shown.cards)} and won (${won.get(seat.playerId)}) with ${shown.hand}`
+        : `${label} showed ${formatCards(shown.cards)} and lost with ${shown.hand}`);
+    } else if (won.has(seat.playerId)) {
+      lines.push(`${label} collected (${won.get(seat.playerId)})`);
+    } else if (result.showdownOrder.includes(seat.playerId)) {
+      lines.push(`${label} mucked`);
+    } else {
+      lines.push(label);
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -1,5 +1,6 @@
 import express from 'express';
 import { createServer } from 'http';
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import { v4 as uuidv4 } from 'uuid';
@@ -9,10 +10,41 @@ import {
   dealCards,
   evaluateHand,
   compareHands,
+  createSeed,
+  commitSeed,
+  combineSeeds,
+  getVariant,
+  VARIANTS,
+  calculateEquity,
+  countCombinations,
+  parseCard,
 } from './gameLogic.js';
+import {
+  startHandHistory,
+  recordAction,
+  recordProgress,
+  recordReveals,
+  getHistoryView,
+  formatPokerStars,
+  verifyHandHistory,
+} from './handHistory.js';
+import { BOT_STRATEGIES, botThinkingTime, chooseBotAction } from './bots.js';
+import { createStore, serializeRoom, restoreRoom } from './roomStore.js';
+import {
+  EMOTES,
+  createChatMessage,
+  addChatMessage,
+  parseChatText,
+  takeChatSlot,
+  describeAction,
+  describeProgress,
+} from './chat.js';
+import { addHandToStats, getStatsTable } from './stats.js';
+import { createAuditLog } from './audit.js';
 
 const app = express();
 app.use(cors());
+app.use(express.json());
 
 const server = createServer(app);
 const io = new Server(server, {
@@ -22,110 +54,860 @@ const io = new Server(server, {
   },
 });
 
-const INITIAL_CHIPS = 1000;
-const SMALL_BLIND = 10;
-const BIG_BLIND = 20;
+const MAX_HAND_HISTORIES = 100;
+const MAX_CLIENT_SEED_LENGTH = 64;
+const ROOM_EXPIRY_MS = 60000; // how long a room with nobody connected is kept
+const ROOM_SWEEP_INTERVAL_MS = 10000;
+const MAX_ROOM_NAME_LENGTH = 40;
+const MAX_PASSWORD_LENGTH = 64;
+const LOBBY_CHANNEL = 'lobby';
+
+// Per-room settings the host may choose: [min, max, default]. Times are in
+// seconds; a streamDelay of 0 turns streamer spectators off, anything else
+// must be at least MIN_STREAM_DELAY. buyIn and handPause only apply to
+// tournaments.
+const SETTING_LIMITS = {
+  startingChips: [100, 1000000, 1000],
+  smallBlind: [1, 100000, 10],
+  bigBlind: [2, 200000, 20],
+  ante: [0, 100000, 0],
+  maxPlayers: [2, 10, 9],
+  actionTimeout: [5, 300, 30],
+  timeBank: [0, 600, 0],
+  maxMissedTurns: [1, 10, 2],
+  streamDelay: [0, 600, 0],
+  buyIn: [0, 1000000, 0],
+  handPause: [1, 60, 5],
+};
+
+// Shorter delays would let a streamer's viewers, or a second tab, follow
+// hole cards while the hand is still being played
+const MIN_STREAM_DELAY = 60;
 
 // Store all rooms
 const rooms = new Map();
 
+// Which seat each connected socket owns: socketId -> { roomCode, playerId }
+const socketSeats = new Map();
+
+// Which room each spectating socket is watching: socketId -> roomCode
+const socketSpectators = new Map();
+
+// Recent chat send times per socket, for rate limiting: socketId -> [ms]
+const socketChatTimes = new Map();
+
+const store = createStore();
+const audit = createAuditLog();
+
+// Bearer token for the /admin routes; the admin API is off without one
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const savesPending = new Set();
+
+// Snapshot a room once the current burst of changes is over. Anything that
+// changes a room calls this; calls in the same tick share one write.
+function saveRoom(room) {
+  if (savesPending.has(room)) return;
+  savesPending.add(room);
+  setImmediate(() => {
+    savesPending.delete(room);
+    if (rooms.get(room.code) !== room) return;
+    store.save(room.code, serializeRoom(room)).catch((err) => {
+      console.error(`Failed to save room ${room.code}:`, err);
+    });
+    publishLobbyEntry(room);
+  });
+}
+
+// Lobby. Public rooms are listed with their stakes and seats; sockets that
+// asked for the list are kept up to date as rooms open, fill and close.
+const lobbyEntries = new Map(); // roomCode -> last entry sent, as JSON
+
+function getLobbyEntry(room) {
+  const { smallBlind, bigBlind, ante } = getBlinds(room);
+  return {
+    code: room.code,
+    name: room.settings.name,
+    variant: room.settings.variant,
+    format: room.settings.format,
+    stakes: { smallBlind, bigBlind, ante },
+    seats: { taken: room.players.length, max: room.settings.maxPlayers },
+    phase: room.phase,
+    open: canTakeSeat(room) && room.players.length < room.settings.maxPlayers,
+  };
+}
+
+function listRooms({ variant, format, open } = {}) {
+  return [...rooms.values()]
+    .filter(room => !room.settings.private)
+    .map(getLobbyEntry)
+    .filter(entry => (!variant || entry.variant === variant)
+      && (!format || entry.format === format)
+      && (!open || entry.open));
+}
+
+function publishLobbyEntry(room) {
+  const listed = rooms.get(room.code) === room && !room.settings.private;
+  if (!listed) {
+    if (lobbyEntries.delete(room.code)) {
+      io.to(LOBBY_CHANNEL).emit('lobbyRoomRemoved', { code: room.code });
+    }
+    return;
+  }
+
+  const entry = getLobbyEntry(room);
+  const json = JSON.stringify(entry);
+  if (lobbyEntries.get(room.code) === json) return;
+  lobbyEntries.set(room.code, json);
+  io.to(LOBBY_CHANNEL).emit('lobbyRoomUpdated', entry);
+}
+
+const FORCED_BETS = ['blinds', 'antes'];
+const FORMATS = ['cash', 'tournament'];
+
+function parseRoomSettings(input = {}) {
+  const settings = {
+    variant: input.variant ?? 'holdem',
+    forcedBets: input.forcedBets ?? 'blinds',
+    format: input.format ?? 'cash',
+    name: input.name ?? null, // defaults to the host's name once the room exists
+    private: input.private ?? false,
+    allowRebuys: input.allowRebuys ?? true,
+  };
+  if (!Object.hasOwn(VARIANTS, settings.variant)) {
+    return { error: `variant must be one of ${Object.keys(VARIANTS).join(', ')}` };
+  }
+  if (!FORCED_BETS.includes(settings.forcedBets)) {
+    return { error: `forcedBets must be one of ${FORCED_BETS.join(', ')}` };
+  }
+  if (!FORMATS.includes(settings.format)) {
+    return { error: `format must be one of ${FORMATS.join(', ')}` };
+  }
+  if (settings.name !== null && (typeof settings.name !== 'string'
+    || settings.name.trim().length === 0 || settings.name.length > MAX_ROOM_NAME_LENGTH)) {
+    return { error: `name must be 1 to ${MAX_ROOM_NAME_LENGTH} characters` };
+  }
+  if (typeof settings.private !== 'boolean') {
+    return { error: 'private must be true or false' };
+  }
+  settings.name = settings.name?.trim() ?? null;
+  if (typeof settings.allowRebuys !== 'boolean') {
+    return { error: 'allowRebuys must be true or false' };
+  }
+
+  for (const [key, [min, max, defaultValue]] of Object.entries(SETTING_LIMITS)) {
+    const value = input[key] ?? defaultValue;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${key} must be a whole number between ${min} and ${max}` };
+    }
+    settings[key] = value;
+  }
+
+  if (settings.streamDelay > 0 && settings.streamDelay < MIN_STREAM_DELAY) {
+    return { error: `streamDelay must be 0 (off) or at least ${MIN_STREAM_DELAY}` };
+  }
+
+  if (settings.bigBlind < settings.smallBlind) {
+    return { error: 'bigBlind must be at least smallBlind' };
+  }
+  if (settings.startingChips < settings.bigBlind) {
+    return { error: 'startingChips must cover the big blind' };
+  }
+
+  // The most a cash-game stack can be topped up to; at least a starting stack
+  settings.maxBuyIn = input.maxBuyIn ?? settings.startingChips;
+  const maxStack = SETTING_LIMITS.startingChips[1] * 10;
+  if (!Number.isInteger(settings.maxBuyIn) || settings.maxBuyIn < settings.startingChips
+    || settings.maxBuyIn > maxStack) {
+    return { error: `maxBuyIn must be a whole number between startingChips and ${maxStack}` };
+  }
+
+  const { schedule, error } = parseBlindSchedule(input.blindSchedule);
+  if (error) return { error };
+  // Tournaments always escalate; without a schedule of their own they get the default
+  settings.blindSchedule = schedule ?? (settings.format === 'tournament'
+    ? defaultTournamentSchedule(settings)
+    : null);
+
+  const payouts = parsePayouts(input.payouts);
+  if (payouts.error) return { error: payouts.error };
+  settings.payouts = payouts.payouts;
+
+  // Ante-only tables have no blinds; bigBlind is then just the minimum bet
+  const antes = [settings.ante, ...(settings.blindSchedule?.levels ?? []).map(level => level.ante)];
+  if (settings.forcedBets === 'antes' && antes.some(ante => ante === 0)) {
+    return { error: 'Ante-only tables need an ante above 0 at every blind level' };
+  }
+
+  return { settings };
+}
+
+const BLIND_SCHEDULE_MODES = ['hands', 'minutes'];
+const MAX_BLIND_LEVELS = 50;
+
+// An optional blind schedule raises the blinds every `interval` hands or
+// minutes. `levels` lists the levels after the first, which is the room's own
+// smallBlind/bigBlind/ante.
+function parseBlindSchedule(input) {
+  if (input === undefined || input === null) return { schedule: null };
+
+  const { mode, interval, levels } = input;
+  if (!BLIND_SCHEDULE_MODES.includes(mode)) {
+    return { error: `blindSchedule.mode must be one of ${BLIND_SCHEDULE_MODES.join(', ')}` };
+  }
+  if (!Number.isInteger(interval) || interval < 1 || interval > 1000) {
+    return { error: 'blindSchedule.interval must be a whole number between 1 and 1000' };
+  }
+  if (!Array.isArray(levels) || levels.length === 0 || levels.length > MAX_BLIND_LEVELS) {
+    return { error: `blindSchedule.levels must list 1 to ${MAX_BLIND_LEVELS} levels` };
+  }
+
+  const parsedLevels = [];
+  for (const level of levels) {
+    const { smallBlind, bigBlind, ante = 0 } = level ?? {};
+    const valid = [smallBlind, bigBlind, ante].every(n => Number.isInteger(n) && n >= 0)
+      && smallBlind >= 1 && bigBlind >= smallBlind;
+    if (!valid) {
+      return { error: 'Each blind level needs whole-number smallBlind <= bigBlind and ante' };
+    }
+    parsedLevels.push({ smallBlind, bigBlind, ante });
+  }
+
+  return { schedule: { mode, interval, levels: parsedLevels } };
+}
+
+const DEFAULT_PAYOUTS = [65, 35];
+const MAX_PAID_PLACES = 10;
+const TOURNAMENT_LEVEL_HANDS = 10;
+const TOURNAMENT_LEVEL_MULTIPLIERS = [1.5, 2, 3, 4, 6, 8, 12, 16, 24, 32, 48, 64];
+
+// Tournament payouts: the percentage of the prize pool paid to each place,
+// first place first
+function parsePayouts(input) {
+  if (input === undefined || input === null) return { payouts: DEFAULT_PAYOUTS };
+
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_PAID_PLACES) {
+    return { error: `payouts must list 1 to ${MAX_PAID_PLACES} percentages` };
+  }
+  if (!input.every(n => Number.isInteger(n) && n > 0)) {
+    return { error: 'payouts must be whole-number percentages above 0' };
+  }
+  if (input.some((n, i) => i > 0 && n > input[i - 1])) {
+    return { error: 'payouts cannot pay a lower place more than a higher one' };
+  }
+  if (input.reduce((sum, n) => sum + n, 0) !== 100) {
+    return { error: 'payouts must add up to 100' };
+  }
+  return { payouts: input };
+}
+
+function defaultTournamentSchedule({ smallBlind, bigBlind, ante }) {
+  return {
+    mode: 'hands',
+    interval: TOURNAMENT_LEVEL_HANDS,
+    levels: TOURNAMENT_LEVEL_MULTIPLIERS.map(multiplier => ({
+      smallBlind: Math.round(smallBlind * multiplier),
+      bigBlind: Math.round(bigBlind * multiplier),
+      ante: Math.round(ante * multiplier),
+    })),
+  };
+}
+
 function generateRoomCode() {
-  return Math.random().toString(36).substring(2, 8).toUpperCase();
+  let code;
+  do {
+    code = Math.random().toString(36).substring(2, 8).toUpperCase();
+  } while (code.length < 6 || rooms.has(code));
+  return code;
+}
+
+function hashPassword(password, salt = randomBytes(16).toString('hex')) {
+  return { salt, hash: scryptSync(password, salt, 32).toString('hex') };
+}
+
+function secretsMatch(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Private rooms can only be joined or watched with the room password or the
+// invite token handed to the host
+function canEnterRoom(room, { password, inviteToken } = {}) {
+  if (!room.settings.private) return true;
+  if (inviteToken && secretsMatch(inviteToken, room.inviteToken)) return true;
+  if (password && room.password) {
+    return secretsMatch(hashPassword(String(password), room.password.salt).hash, room.password.hash);
+  }
+  return false;
+}
+
+function parseRoomPassword(password, settings) {
+  if (password === undefined || password === null) return { password: null };
+  if (!settings.private) {
+    return { error: 'Only private rooms can have a password' };
+  }
+  if (typeof password !== 'string' || password.length === 0 || password.length > MAX_PASSWORD_LENGTH) {
+    return { error: `password must be 1 to ${MAX_PASSWORD_LENGTH} characters` };
+  }
+  return { password };
 }
 
-function createRoom(hostSocketId, hostName) {
+function createRoom(hostSocketId, hostName, settings, { password = null } = {}) {
   const roomCode = generateRoomCode();
+  const hostId = uuidv4();
   const room = {
     code: roomCode,
+    settings: { ...settings, name: settings.name ?? `${hostName}'s table` },
+    hostId,
     players: [
       {
-        id: uuidv4(),
+        id: hostId,
         socketId: hostSocketId,
         name: hostName,
-        chips: INITIAL_CHIPS,
+        chips: settings.startingChips,
         cards: [],
         currentBet: 0,
+        totalContribution: 0,
         folded: false,
         isAllIn: false,
         hasActed: false,
         isConnected: true,
+        sittingOut: false,
       },
     ],
     gameState: null,
     phase: 'waiting', // waiting, playing
+    sessions: new Map(), // sessionToken -> playerId
+    timeBanks: new Map(), // playerId -> ms of time bank left
+    missedTurns: new Map(), // playerId -> consecutive turns timed out
+    actionClock: null,
+    botTimer: null,
+    handNumber: 0,
+    handHistories: [], // most recent MAX_HAND_HISTORIES hands, oldest first
+    clientSeeds: new Map(), // playerId -> entropy mixed into the next shuffle
+    nextServerSeed: createSeed(), // committed to before the hand it shuffles
+    handServerSeed: null, // secret until the current hand ends
+    blindLevel: 0, // index into the blind schedule; 0 is the room's base blinds
+    levelStartedAt: null,
+    levelStartedHand: 0,
+    spectators: new Map(), // socketId -> { id, socketId, name, streamer }
+    streamTimers: new Set(), // pending delayed sends to streamers
+    tournament: null, // set when a tournament starts
+    nextHandTimer: null, // automatic deal between tournament hands
+    expiresAt: null, // set while nobody is connected
+    password: password && hashPassword(password), // { salt, hash }, private rooms only
+    inviteToken: settings.private ? randomBytes(16).toString('hex') : null,
+    streamerToken: null, // issued by the host to let a spectator stream
+    chat: [], // most recent MAX_CHAT_HISTORY messages, oldest first
+    mutedPlayerIds: [], // players the host has muted
+    stats: {}, // playerId -> session totals, see stats.js
+    paused: false, // no clocks run and nobody may act while the host has paused
   };
   rooms.set(roomCode, room);
+  saveRoom(room);
   return room;
 }
 
-function createGameState(room) {
-  let deck = shuffleDeck(createDeck());
+function deleteRoom(room) {
+  clearActionClock(room);
+  clearStreamTimers(room);
+  clearTimeout(room.nextHandTimer);
+  rooms.delete(room.code);
+  publishLobbyEntry(room);
+  store.remove(room.code).catch((err) => {
+    console.error(`Failed to remove room ${room.code}:`, err);
+  });
+  console.log(`Room ${room.code} deleted`);
+}
+
+// Rooms expire once nobody has been connected for ROOM_EXPIRY_MS. The
+// deadline is part of the snapshot, so it still applies after a restart.
+function sweepExpiredRooms() {
+  const now = Date.now();
+  for (const room of rooms.values()) {
+    const abandoned = room.players.every(p => p.isBot || !p.isConnected);
+    if (room.expiresAt && room.expiresAt <= now && abandoned) {
+      deleteRoom(room);
+    }
+  }
+}
+
+// Shut a room down for everyone in it, players and spectators alike
+function closeRoom(room, reason) {
+  io.to(room.code).emit('roomClosed', { roomCode: room.code, reason });
+  for (const [socketId, seat] of socketSeats) {
+    if (seat.roomCode === room.code) socketSeats.delete(socketId);
+  }
+  for (const [socketId, roomCode] of socketSpectators) {
+    if (roomCode === room.code) socketSpectators.delete(socketId);
+  }
+  io.in(room.code).socketsLeave(room.code);
+  deleteRoom(room);
+}
+
+// Load every saved room. Players have to reconnect with their session token;
+// hands in progress carry on under a fresh action clock.
+async function restoreRooms() {
+  const snapshots = await store.loadAll();
+  for (const snapshot of snapshots) {
+    const room = restoreRoom(snapshot);
+    rooms.set(room.code, room);
+    room.expiresAt = Math.min(room.expiresAt ?? Infinity, Date.now() + ROOM_EXPIRY_MS);
+
+    if (room.gameState?.phase === 'showdown') {
+      settleTournamentHand(room);
+    } else if (room.gameState) {
+      startActionClock(room);
+    }
+  }
+  console.log(`Restored ${snapshots.length} room(s)`);
+}
+
+// Secret handed to a player's client so it can reclaim the seat from a new socket
+function issueSessionToken(room, playerId) {
+  const sessionToken = randomBytes(24).toString('hex');
+  room.sessions.set(sessionToken, playerId);
+  return sessionToken;
+}
+
+function getRoster(room) {
+  return room.players.map(p => ({
+    id: p.id,
+    name: p.name,
+    chips: p.chips,
+    isConnected: p.isConnected,
+    isHost: p.id === room.hostId,
+    isBot: Boolean(p.isBot),
+    sittingOut: p.sittingOut,
+    muted: room.mutedPlayerIds.includes(p.id),
+  }));
+}
+
+function getSpectators(room) {
+  return [...room.spectators.values()].map(({ id, name, streamer }) => ({ id, name, streamer }));
+}
+
+// Drop a socket's spectator spot, if it has one, e.g. when it takes a seat
+function stopSpectating(socket) {
+  const roomCode = socketSpectators.get(socket.id);
+  socketSpectators.delete(socket.id);
+  const room = rooms.get(roomCode);
+  const spectator = room?.spectators.get(socket.id);
+  if (!spectator) return;
+
+  room.spectators.delete(socket.id);
+  socket.leave(room.code);
+  io.to(room.code).emit('spectatorLeft', {
+    spectatorId: spectator.id,
+    name: spectator.name,
+    spectators: getSpectators(room),
+  });
+}
+
+function clearStreamTimers(room) {
+  room.streamTimers.forEach(timer => clearTimeout(timer));
+  room.streamTimers.clear();
+}
+
+// Streamer mode was switched off: revoke the token and carry on any
+// streamers as ordinary spectators, who only see the public view
+function stopStreaming(room) {
+  room.streamerToken = null;
+  clearStreamTimers(room);
+  room.spectators.forEach((spectator) => {
+    spectator.streamer = false;
+  });
+  io.to(room.code).emit('streamingStopped', { spectators: getSpectators(room) });
+}
+
+function bindSocketToSeat(socket, room, playerId) {
+  socketSeats.set(socket.id, { roomCode: room.code, playerId });
+  socket.join(room.code);
+}
+
+// Resolve the room and player a socket is seated as. The room code sent by
+// the client must match the seat; player ids in payloads are never trusted.
+function getSeat(socket, roomCode) {
+  const seat = socketSeats.get(socket.id);
+  if (!seat) return null;
+  if (roomCode && roomCode.toUpperCase() !== seat.roomCode) return null;
+
+  const room = rooms.get(seat.roomCode);
+  const player = room?.players.find(p => p.id === seat.playerId);
+  if (!player) return null;
+
+  return { room, player };
+}
+
+// Like getSeat, but only for the room's host. Replies to the caller on failure.
+function requireHost(socket, roomCode, callback, what) {
+  const seat = getSeat(socket, roomCode);
+  if (!seat) {
+    callback?.({ success: false, error: 'You are not seated in this room' });
+    return null;
+  }
+
+  if (seat.player.id !== seat.room.hostId) {
+    callback?.({ success: false, error: `Only the host can ${what}` });
+    return null;
+  }
+
+  return seat;
+}
+
+function auditHost(room, host, action, details = {}) {
+  audit.record({
+    actor: { type: 'host', playerId: host.id, name: host.name },
+    action,
+    roomCode: room.code,
+    details,
+  });
+}
+
+// Settings that cannot change once the cards are in the air
+const SETTINGS_FIXED_IN_PLAY = ['format', 'startingChips', 'buyIn', 'payouts'];
+
+// Settings parseRoomSettings fills in from others when the host leaves them out
+const DERIVED_SETTINGS = {
+  maxBuyIn: settings => settings.startingChips,
+  blindSchedule: settings => (settings.format === 'tournament' ? defaultTournamentSchedule(settings) : null),
+};
+
+// Validate a host's settings change against the room as it stands. Returns
+// { settings, changed } or { error }.
+function parseSettingsChange(room, changes) {
+  if (room.tournament) return { error: 'Tournament settings are fixed once it starts' };
+  if (!betweenHands(room)) return { error: 'Settings can only be changed between hands' };
+  if (!changes || typeof changes !== 'object') return { error: 'settings must be an object' };
+
+  // Derived settings still at their derived value follow the new settings,
+  // e.g. a tournament's default schedule is rebuilt from new blinds
+  const input = { ...room.settings, ...changes };
+  for (const [key, derive] of Object.entries(DERIVED_SETTINGS)) {
+    if (!Object.hasOwn(changes, key)
+      && JSON.stringify(room.settings[key]) === JSON.stringify(derive(room.settings))) {
+      delete input[key];
+    }
+  }
+
+  const { settings, error } = parseRoomSettings(input);
+  if (error) return { error };
+
+  const changed = Object.keys(settings)
+    .filter(key => JSON.stringify(settings[key]) !== JSON.stringify(room.settings[key]));
+  const fixed = changed.filter(key => SETTINGS_FIXED_IN_PLAY.includes(key));
+  if (room.phase !== 'waiting' && fixed.length > 0) {
+    return { error: `${fixed.join(', ')} cannot change once the game has started` };
+  }
+  if (settings.maxPlayers < room.players.length) {
+    return { error: `maxPlayers cannot be below the ${room.players.length} players seated` };
+  }
+  return { settings, changed };
+}
+
+// Chat is for seated players who are not muted and not sending too fast.
+// Returns the seat, or an error message.
+function getChatSeat(socket, roomCode) {
+  const seat = getSeat(socket, roomCode);
+  if (!seat) {
+    const spectating = socketSpectators.get(socket.id) === roomCode?.toUpperCase();
+    return { error: spectating ? 'Spectators cannot chat' : 'You are not seated in this room' };
+  }
+  if (seat.room.mutedPlayerIds.includes(seat.player.id)) {
+    return { error: 'The host has muted you' };
+  }
+
+  const sentTimes = takeChatSlot(socketChatTimes.get(socket.id));
+  if (!sentTimes) return { error: 'You are sending messages too quickly' };
+  socketChatTimes.set(socket.id, sentTimes);
+  return { seat };
+}
+
+function postChatMessage(room, message) {
+  addChatMessage(room, message);
+  io.to(room.code).emit('chatMessage', message);
+}
+
+function postDealerMessages(room, lines) {
+  for (const text of lines) {
+    postChatMessage(room, createChatMessage({ type: 'dealer', text }));
+  }
+}
+
+// Seat helpers. Seats are the indexes of room.players / gameState.players,
+// in clockwise order.
+function nextSeatIndex(players, fromIndex, predicate) {
+  for (let step = 1; step <= players.length; step++) {
+    const index = (fromIndex + step) % players.length;
+    if (predicate(players[index])) return index;
+  }
+  return -1;
+}
+
+function canAct(player) {
+  return !player.folded && !player.isAllIn;
+}
+
+function isDealtIn(player) {
+  return player.cards.length > 0;
+}
+
+// Sitting out skips hands at a cash table. Tournament players are still dealt
+// in, post blinds and antes and act automatically, so absent players are
+// blinded off and the event can finish.
+function sitsOutOfHand(room, player) {
+  return player.sittingOut && !room.tournament;
+}
+
+function getBlinds(room) {
+  const { smallBlind, bigBlind, ante, blindSchedule } = room.settings;
+  const level = room.blindLevel === 0
+    ? { smallBlind, bigBlind, ante }
+    : blindSchedule.levels[room.blindLevel - 1];
+  return { ...level, level: room.blindLevel + 1 };
+}
+
+// Move a player's chips into the pot, all-in if that empties their stack
+function postChips(player, amount, { live }) {
+  const posted = Math.min(amount, player.chips);
+  player.chips -= posted;
+  player.totalContribution += posted;
+  if (live) player.currentBet += posted;
+  if (player.chips === 0) player.isAllIn = true;
+  return posted;
+}
+
+function createGameState(room, { serverSeed, clientSeeds }) {
+  const variant = getVariant(room.settings.variant);
+  let deck = shuffleDeck(createDeck(variant), combineSeeds(serverSeed, clientSeeds.map(c => c.seed)));
 
-  // Deal cards to each player
-  const players = room.players.map((player, index) => {
-    const { cards, remainingDeck } = dealCards(deck, 2);
+  // Deal cards to each player with chips; busted and sitting-out players skip the hand
+  const players = room.players.map((player) => {
+    if (player.chips <= 0 || sitsOutOfHand(room, player)) {
+      return {
+        ...player,
+        cards: [],
+        currentBet: 0,
+        totalContribution: 0,
+        folded: true,
+        isAllIn: false,
+        hasActed: true,
+      };
+    }
+    const { cards, remainingDeck } = dealCards(deck, variant.holeCards);
     deck = remainingDeck;
     return {
       ...player,
       cards,
       currentBet: 0,
+      totalContribution: 0,
       folded: false,
       isAllIn: false,
       hasActed: false,
     };
   });
 
-  // Set dealer and blinds
-  const dealerIndex = room.gameState?.dealerIndex !== undefined
-    ? (room.gameState.dealerIndex + 1) % players.length
-    : 0;
-
-  const sbIndex = dealerIndex;
-  const bbIndex = (dealerIndex + 1) % players.length;
-
-  const sbAmount = Math.min(SMALL_BLIND, players[sbIndex].chips);
-  const bbAmount = Math.min(BIG_BLIND, players[bbIndex].chips);
-
-  players[sbIndex].chips -= sbAmount;
-  players[sbIndex].currentBet = sbAmount;
-  if (players[sbIndex].chips === 0) players[sbIndex].isAllIn = true;
-
-  players[bbIndex].chips -= bbAmount;
-  players[bbIndex].currentBet = bbAmount;
-  if (players[bbIndex].chips === 0) players[bbIndex].isAllIn = true;
+  // Move the button to the next seat that is dealt in
+  const previousDealer = room.gameState?.dealerIndex ?? -1;
+  const dealerIndex = nextSeatIndex(players, previousDealer, isDealtIn);
+  const dealtIn = players.filter(isDealtIn).length;
+
+  // Antes are dead money: they go in the pot but do not count toward calling
+  const blinds = getBlinds(room);
+  let pot = 0;
+  if (blinds.ante > 0) {
+    for (const player of players.filter(isDealtIn)) {
+      pot += postChips(player, blinds.ante, { live: false });
+    }
+  }
 
-  // In heads-up, dealer (SB) acts first preflop
-  const firstToAct = sbIndex;
+  let sbIndex = null;
+  let bbIndex = null;
+  let sbAmount = 0;
+  let bbAmount = 0;
+  let firstToAct;
+  if (room.settings.forcedBets === 'antes') {
+    // Ante-only: action starts left of the button, as on later streets
+    firstToAct = nextSeatIndex(players, dealerIndex, canAct);
+  } else {
+    // Heads-up, the button posts the small blind; otherwise the blinds sit to its left
+    sbIndex = dealtIn === 2 ? dealerIndex : nextSeatIndex(players, dealerIndex, isDealtIn);
+    bbIndex = nextSeatIndex(players, sbIndex, isDealtIn);
+    sbAmount = postChips(players[sbIndex], blinds.smallBlind, { live: true });
+    bbAmount = postChips(players[bbIndex], blinds.bigBlind, { live: true });
+    pot += sbAmount + bbAmount;
+
+    // First to act preflop sits left of the big blind: UTG, or the button heads-up
+    firstToAct = nextSeatIndex(players, bbIndex, canAct);
+  }
 
-  return {
+  const gameState = {
+    variant: variant.name,
     players,
     communityCards: [],
-    pot: sbAmount + bbAmount,
+    pot,
+    blinds,
     currentPlayerIndex: firstToAct,
     dealerIndex,
+    smallBlindIndex: sbIndex,
+    bigBlindIndex: bbIndex,
     phase: 'preflop',
-    currentBet: bbAmount,
-    minRaise: BIG_BLIND,
+    currentBet: Math.max(sbAmount, bbAmount),
+    minRaise: blinds.bigBlind,
     deck,
-    winner: null,
+    winners: [],
     winningHand: null,
+    pots: [],
+    allInEquity: null,
+    lastAggressorId: null,
+    showdownOrder: [],
+    shownPlayerIds: [],
+    muckedPlayerIds: [],
+    actionClock: null,
+    fairness: {
+      commitment: commitSeed(serverSeed),
+      clientSeeds,
+      serverSeed: null, // revealed once the hand is over
+    },
   };
+
+  // Blinds can put everyone all-in, leaving nobody to act
+  if (checkBettingRoundComplete(gameState)) {
+    return runOutBoard(gameState);
+  }
+
+  return gameState;
 }
 
 function getPlayerView(gameState, playerId) {
   // Return game state with opponent's cards hidden
+  const currentPlayer = gameState.players[gameState.currentPlayerIndex];
   return {
     ...gameState,
     deck: undefined, // Don't send deck to client
     players: gameState.players.map((p) => ({
       ...p,
-      cards: p.id === playerId || gameState.phase === 'showdown'
+      cards: p.id === playerId || gameState.shownPlayerIds.includes(p.id)
         ? p.cards.map(c => ({ ...c, faceUp: true }))
         : p.cards.map(() => ({ faceUp: false })),
     })),
+    legalActions: currentPlayer?.id === playerId
+      ? getLegalActions(gameState, gameState.currentPlayerIndex)
+      : null,
+  };
+}
+
+// What a streamer spectator sees: every hole card, including folded hands,
+// but never the deck
+function getStreamerView(gameState) {
+  return {
+    ...gameState,
+    deck: undefined,
+    players: gameState.players.map(p => ({
+      ...p,
+      cards: p.cards.map(c => ({ ...c, faceUp: true })),
+    })),
+    legalActions: null,
+  };
+}
+
+const ACTIONS = ['fold', 'check', 'call', 'raise', 'all-in'];
+
+// What the player in a seat may do right now. Raise amounts are the total
+// bet to raise to, matching the `amount` processAction expects.
+function getLegalActions(gameState, playerIndex) {
+  const player = gameState.players[playerIndex];
+  const callAmount = Math.min(gameState.currentBet - player.currentBet, player.chips);
+  const stack = player.chips + player.currentBet;
+
+  // Pot limit: raise by at most the pot as it would stand after calling
+  const potLimited = getVariant(gameState.variant).bettingLimit === 'pot-limit';
+  const potRaise = gameState.currentBet + gameState.pot + callAmount;
+  const maxRaise = potLimited ? Math.min(stack, potRaise) : stack;
+  const minRaise = Math.min(gameState.currentBet + gameState.minRaise, maxRaise);
+
+  // Raising only makes sense while someone else can still call it
+  const opponentCanAct = gameState.players.some((p, i) => i !== playerIndex && canAct(p));
+
+  return {
+    fold: true,
+    check: callAmount === 0,
+    call: callAmount > 0,
+    callAmount,
+    raise: opponentCanAct && maxRaise > gameState.currentBet,
+    minRaise,
+    maxRaise,
+    allIn: player.chips > 0 && stack <= Math.max(maxRaise, gameState.currentBet),
   };
 }
 
+function actionError(code, message) {
+  return { code, message };
+}
+
+// Returns null when the action is legal, otherwise a { code, message } error
+function validateAction(gameState, playerId, action, amount) {
+  if (!gameState || gameState.phase === 'showdown') {
+    return actionError('NO_ACTIVE_HAND', 'There is no hand in progress');
+  }
+
+  const playerIndex = gameState.players.findIndex(p => p.id === playerId);
+  if (playerIndex === -1) {
+    return actionError('NOT_IN_HAND', 'You are not in this hand');
+  }
+
+  if (playerIndex !== gameState.currentPlayerIndex) {
+    return actionError('NOT_YOUR_TURN', 'It is not your turn');
+  }
+
+  if (!ACTIONS.includes(action)) {
+    return actionError('UNKNOWN_ACTION', `Unknown action: ${action}`);
+  }
+
+  const player = gameState.players[playerIndex];
+  const legal = getLegalActions(gameState, playerIndex);
+
+  switch (action) {
+    case 'check':
+      if (!legal.check) {
+        return actionError('ILLEGAL_CHECK', `Cannot check facing a bet of ${legal.callAmount}`);
+      }
+      break;
+
+    case 'call':
+      if (!legal.call) {
+        return actionError('NOTHING_TO_CALL', 'There is no bet to call');
+      }
+      break;
+
+    case 'raise':
+      if (!legal.raise) {
+        return actionError('ILLEGAL_RAISE', 'Raising is not allowed');
+      }
+      if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+        return actionError('INVALID_AMOUNT', 'Raise amount must be a positive whole number');
+      }
+      if (amount !== undefined && amount < legal.minRaise) {
+        return actionError('RAISE_BELOW_MIN', `Minimum raise is to ${legal.minRaise}`);
+      }
+      if (amount !== undefined && amount > legal.maxRaise) {
+        return actionError('RAISE_ABOVE_MAX', `Maximum raise is to ${legal.maxRaise}`);
+      }
+      break;
+
+    case 'all-in':
+      if (player.chips === 0) {
+        return actionError('NO_CHIPS', 'You have no chips left');
+      }
+      if (!legal.allIn) {
+        return actionError('ABOVE_POT_LIMIT', `Pot limit caps your raise at ${legal.maxRaise}`);
+      }
+      break;
+  }
+
+  return null;
+}
+
 function checkBettingRoundComplete(gameState) {
   const activePlayers = gameState.players.filter(p => !p.folded && !p.isAllIn);
 
@@ -139,6 +921,59 @@ function checkBettingRoundComplete(gameState) {
   );
 }
 
+// Split the chips committed this hand into a main pot and side pots. Each
+// all-in amount caps a pot; only players who put in at least that much and
+// have not folded are eligible to win it.
+function buildPots(players) {
+  const levels = [...new Set(
+    players
+      .filter(p => !p.folded && p.totalContribution > 0)
+      .map(p => p.totalContribution)
+  )].sort((a, b) => a - b);
+
+  const pots = [];
+  let previousLevel = 0;
+  for (const level of levels) {
+    const amount = players.reduce(
+      (sum, p) => sum + Math.max(0, Math.min(p.totalContribution, level) - previousLevel),
+      0
+    );
+    const eligiblePlayerIds = players
+      .filter(p => !p.folded && p.totalContribution >= level)
+      .map(p => p.id);
+
+    // A top pot with a single eligible player holds their uncalled bet, plus
+    // any chips from players who folded after matching part of it
+    pots.push({ amount, eligiblePlayerIds });
+    previousLevel = level;
+  }
+
+  // Dead chips from folded players above the highest live contribution
+  const leftover = players.reduce(
+    (sum, p) => sum + Math.max(0, p.totalContribution - previousLevel),
+    0
+  );
+  if (leftover > 0 && pots.length > 0) {
+    pots[pots.length - 1].amount += leftover;
+  }
+
+  return pots;
+}
+
+// Divide a pot evenly between tied winners. Odd chips go one at a time to
+// the winners closest to the left of the button.
+function splitPot(amount, winnerIds, players, dealerIndex) {
+  const ordered = [];
+  for (let step = 1; step <= players.length; step++) {
+    const player = players[(dealerIndex + step) % players.length];
+    if (winnerIds.includes(player.id)) ordered.push(player.id);
+  }
+
+  const share = Math.floor(amount / ordered.length);
+  const oddChips = amount - share * ordered.length;
+  return ordered.map((id, i) => ({ id, amount: share + (i < oddChips ? 1 : 0) }));
+}
+
 function determineWinner(gameState) {
   const activePlayers = gameState.players.filter(p => !p.folded);
 
@@ -149,41 +984,114 @@ function determineWinner(gameState) {
         ? { ...p, chips: p.chips + gameState.pot }
         : p
     );
+    const winners = [{ id: winner.id, name: winner.name, amount: gameState.pot }];
     return {
       ...gameState,
       players: updatedPlayers,
-      winner: { id: winner.id, name: winner.name },
-      winningHand: 'Other player folded',
+      winners,
+      winningHand: 'Other players folded',
+      pots: [{
+        amount: gameState.pot,
+        eligiblePlayerIds: [winner.id],
+        winners,
+      }],
       pot: 0,
       phase: 'showdown',
     };
   }
 
-  const playerHands = activePlayers.map(player => ({
-    player,
-    hand: evaluateHand(player.cards, gameState.communityCards),
-  }));
+  const hands = new Map(
+    activePlayers.map(player => [
+      player.id,
+      evaluateHand(player.cards, gameState.communityCards, getVariant(gameState.variant)),
+    ])
+  );
 
-  playerHands.sort((a, b) => compareHands(b.hand, a.hand));
+  const winnings = new Map();
+  const pots = buildPots(gameState.players).map((pot) => {
+    const contenders = activePlayers.filter(p => pot.eligiblePlayerIds.includes(p.id));
+    contenders.sort((a, b) => compareHands(hands.get(b.id), hands.get(a.id)));
+    const best = hands.get(contenders[0].id);
+    const tiedIds = contenders
+      .filter(p => compareHands(hands.get(p.id), best) === 0)
+      .map(p => p.id);
+
+    const shares = splitPot(pot.amount, tiedIds, gameState.players, gameState.dealerIndex);
+    for (const { id, amount } of shares) {
+      winnings.set(id, (winnings.get(id) || 0) + amount);
+    }
 
-  const winner = playerHands[0].player;
-  const winningHand = playerHands[0].hand.name;
+    return {
+      ...pot,
+      winners: shares.map(({ id, amount }) => ({
+        id,
+        name: contenders.find(p => p.id === id).name,
+        amount,
+        hand: hands.get(id).name,
+      })),
+    };
+  });
 
   const updatedPlayers = gameState.players.map(p => ({
     ...p,
-    chips: p.id === winner.id ? p.chips + gameState.pot : p.chips,
+    chips: p.chips + (winnings.get(p.id) || 0),
   }));
 
+  const winners = activePlayers
+    .filter(p => winnings.has(p.id))
+    .map(p => ({
+      id: p.id,
+      name: p.name,
+      amount: winnings.get(p.id),
+      hand: hands.get(p.id).name,
+    }));
+
   return {
     ...gameState,
     players: updatedPlayers,
-    winner: { id: winner.id, name: winner.name },
-    winningHand,
+    winners,
+    winningHand: pots[0].winners[0].hand,
+    pots,
     pot: 0,
     phase: 'showdown',
+    ...showdownReveals(gameState, hands, winnings),
   };
 }
 
+// Showdown order starts with the last player to bet or raise on the river, or
+// the first live seat left of the button if it was checked through. Hands go
+// face up in turn while they are at least as good as the best one shown so
+// far or win chips; anything else may be mucked. Once someone is all-in and
+// called, every hand is turned up.
+function showdownReveals(gameState, hands, winnings) {
+  const { players } = gameState;
+  const isLive = p => !p.folded && p.cards.length > 0;
+  const aggressorIndex = players.findIndex(p => p.id === gameState.lastAggressorId && isLive(p));
+  const start = aggressorIndex !== -1 ? aggressorIndex : nextSeatIndex(players, gameState.dealerIndex, isLive);
+
+  const showdownOrder = [];
+  for (let step = 0; step < players.length; step++) {
+    const player = players[(start + step) % players.length];
+    if (isLive(player)) showdownOrder.push(player.id);
+  }
+
+  const shownPlayerIds = [];
+  let bestShown = null;
+  for (const id of showdownOrder) {
+    const hand = hands.get(id);
+    const mustShow = gameState.allInEquity
+      || !bestShown
+      || compareHands(hand, bestShown) >= 0
+      || winnings.has(id);
+    if (!mustShow) continue;
+
+    shownPlayerIds.push(id);
+    if (!bestShown || compareHands(hand, bestShown) > 0) bestShown = hand;
+  }
+
+  return { showdownOrder, shownPlayerIds, muckedPlayerIds: [] };
+}
+
 function moveToNextPhase(gameState) {
   const phases = ['preflop', 'flop', 'turn', 'river', 'showdown'];
   const currentPhaseIndex = phases.indexOf(gameState.phase);
@@ -214,11 +1122,8 @@ function moveToNextPhase(gameState) {
     hasActed: false,
   }));
 
-  let firstToAct = (gameState.dealerIndex + 1) % gameState.players.length;
-  while (resetPlayers[firstToAct].folded || resetPlayers[firstToAct].isAllIn) {
-    firstToAct = (firstToAct + 1) % gameState.players.length;
-    if (firstToAct === gameState.dealerIndex) break;
-  }
+  // Postflop the first active seat left of the button acts first
+  const firstToAct = nextSeatIndex(resetPlayers, gameState.dealerIndex, canAct);
 
   if (nextPhase === 'showdown') {
     return determineWinner({ ...gameState, phase: 'showdown' });
@@ -230,21 +1135,67 @@ function moveToNextPhase(gameState) {
     communityCards: newCommunityCards,
     deck,
     currentBet: 0,
-    minRaise: BIG_BLIND,
+    minRaise: gameState.blinds.bigBlind,
+    lastAggressorId: null,
     players: resetPlayers,
     currentPlayerIndex: firstToAct,
   };
 }
 
-function processAction(gameState, playerId, action, amount) {
-  const playerIndex = gameState.players.findIndex(p => p.id === playerId);
-  if (playerIndex === -1) return gameState;
+// Hand evaluations an equity calculation may cost. It runs on the main
+// thread, for the all-in display at the table and for POST /equity, so it
+// has to stay cheap for every room on the server.
+const EQUITY_EVALUATIONS = 20000;
+const MIN_EQUITY_SAMPLES = 50;
+
+// Samples of the board that fit the evaluation budget for these hands
+function equitySamples(handCount, variant) {
+  // Omaha tries every hole-card and board combination for each hand
+  const evaluationsPerHand = variant.mustUseHoleCards
+    ? countCombinations(variant.holeCards, variant.mustUseHoleCards) * countCombinations(5, 5 - variant.mustUseHoleCards)
+    : 1;
+  return Math.max(MIN_EQUITY_SAMPLES, Math.floor(EQUITY_EVALUATIONS / (handCount * evaluationsPerHand)));
+}
 
-  const player = gameState.players[playerIndex];
+// Everyone left is all-in: publish each player's equity from the current
+// board before dealing the rest of it out
+function runOutBoard(gameState) {
+  const live = gameState.players.filter(p => !p.folded);
+  const variant = getVariant(gameState.variant);
+  const equity = calculateEquity({
+    hands: live.map(p => p.cards),
+    board: gameState.communityCards,
+    variant,
+    samples: equitySamples(live.length, variant),
+  });
+
+  let finalState = {
+    ...gameState,
+    allInEquity: {
+      phase: gameState.phase,
+      method: equity.method,
+      players: live.map((p, i) => ({ id: p.id, name: p.name, ...equity.players[i] })),
+    },
+  };
+  while (finalState.phase !== 'showdown') {
+    finalState = moveToNextPhase(finalState);
+  }
+  return finalState;
+}
+
+function processAction(gameState, playerId, action, amount) {
+  const playerIndex = gameState.players.findIndex(p => p.id === playerId);
+  if (playerIndex === -1) return gameState;
+
+  const player = gameState.players[playerIndex];
   let updatedPlayers = [...gameState.players];
   let newPot = gameState.pot;
   let newCurrentBet = gameState.currentBet;
   let newMinRaise = gameState.minRaise;
+  let lastAggressorId = gameState.lastAggressorId;
+
+  // validateAction has already refused all-ins above the pot limit
+  const { maxRaise } = getLegalActions(gameState, playerIndex);
 
   switch (action) {
     case 'fold':
@@ -261,6 +1212,7 @@ function processAction(gameState, playerId, action, amount) {
         ...player,
         chips: player.chips - callAmount,
         currentBet: player.currentBet + callAmount,
+        totalContribution: player.totalContribution + callAmount,
         isAllIn: player.chips - callAmount === 0,
         hasActed: true,
       };
@@ -270,16 +1222,18 @@ function processAction(gameState, playerId, action, amount) {
 
     case 'raise': {
       const raiseAmount = amount || gameState.currentBet + gameState.minRaise;
-      const totalBet = Math.min(raiseAmount, player.chips + player.currentBet);
+      const totalBet = Math.min(raiseAmount, maxRaise);
       const additionalBet = totalBet - player.currentBet;
 
       newMinRaise = Math.max(gameState.minRaise, totalBet - gameState.currentBet);
       newCurrentBet = totalBet;
+      lastAggressorId = playerId;
 
       updatedPlayers[playerIndex] = {
         ...player,
         chips: player.chips - additionalBet,
         currentBet: totalBet,
+        totalContribution: player.totalContribution + additionalBet,
         isAllIn: player.chips - additionalBet === 0,
         hasActed: true,
       };
@@ -298,6 +1252,7 @@ function processAction(gameState, playerId, action, amount) {
       if (newBet > gameState.currentBet) {
         newMinRaise = Math.max(gameState.minRaise, newBet - gameState.currentBet);
         newCurrentBet = newBet;
+        lastAggressorId = playerId;
         updatedPlayers = updatedPlayers.map((p, i) =>
           i === playerIndex ? p : { ...p, hasActed: p.folded || p.isAllIn }
         );
@@ -307,12 +1262,16 @@ function processAction(gameState, playerId, action, amount) {
         ...player,
         chips: 0,
         currentBet: newBet,
+        totalContribution: player.totalContribution + allInAmount,
         isAllIn: true,
         hasActed: true,
       };
       newPot += allInAmount;
       break;
     }
+
+    default:
+      return gameState;
   }
 
   let newState = {
@@ -321,6 +1280,7 @@ function processAction(gameState, playerId, action, amount) {
     pot: newPot,
     currentBet: newCurrentBet,
     minRaise: newMinRaise,
+    lastAggressorId,
   };
 
   const remainingPlayers = updatedPlayers.filter(p => !p.folded);
@@ -331,203 +1291,1734 @@ function processAction(gameState, playerId, action, amount) {
   if (checkBettingRoundComplete(newState)) {
     const nonFoldedNonAllIn = updatedPlayers.filter(p => !p.folded && !p.isAllIn);
     if (nonFoldedNonAllIn.length <= 1) {
-      let finalState = newState;
-      while (finalState.phase !== 'showdown') {
-        finalState = moveToNextPhase(finalState);
-      }
-      return finalState;
+      return runOutBoard(newState);
     }
     return moveToNextPhase(newState);
   }
 
-  let nextPlayerIndex = (playerIndex + 1) % gameState.players.length;
-  while (
-    updatedPlayers[nextPlayerIndex].folded ||
-    updatedPlayers[nextPlayerIndex].isAllIn
-  ) {
-    nextPlayerIndex = (nextPlayerIndex + 1) % gameState.players.length;
-  }
+  const nextPlayerIndex = nextSeatIndex(updatedPlayers, playerIndex, canAct);
 
   return { ...newState, currentPlayerIndex: nextPlayerIndex };
 }
 
-// Socket.io event handlers
-io.on('connection', (socket) => {
-  console.log('Player connected:', socket.id);
+// Send each seated player their own view of the game state. `extra` adds
+// fields to every payload, or builds them per player when it is a function.
+// Spectators get the public view; streamers get every hole card, but only
+// streamDelay seconds later, and never with a delay under MIN_STREAM_DELAY.
+function broadcastGameState(room, event, extra = {}) {
+  saveRoom(room);
+  room.players.forEach((player) => {
+    const playerSocket = io.sockets.sockets.get(player.socketId);
+    if (playerSocket) {
+      playerSocket.emit(event, {
+        gameState: getPlayerView(room.gameState, player.id),
+        ...(typeof extra === 'function' ? extra(player) : extra),
+      });
+    }
+  });
 
-  socket.on('createRoom', ({ playerName }, callback) => {
-    const room = createRoom(socket.id, playerName);
-    socket.join(room.code);
-    const player = room.players[0];
-    callback({
-      success: true,
-      roomCode: room.code,
+  const shared = typeof extra === 'function' ? {} : extra;
+  const publicView = getPlayerView(room.gameState, null);
+  const streamerView = getStreamerView(room.gameState);
+  const streaming = room.settings.streamDelay >= MIN_STREAM_DELAY;
+  room.spectators.forEach((spectator) => {
+    if (!spectator.streamer || !streaming) {
+      io.sockets.sockets.get(spectator.socketId)?.emit(event, { gameState: publicView, ...shared });
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      room.streamTimers.delete(timer);
+      io.sockets.sockets.get(spectator.socketId)?.emit(event, { gameState: streamerView, ...shared });
+    }, room.settings.streamDelay * 1000);
+    room.streamTimers.add(timer);
+  });
+}
+
+// Step up the blind schedule once the current level has lasted its interval.
+// Levels only change between hands.
+function advanceBlindLevel(room) {
+  const schedule = room.settings.blindSchedule;
+  if (!schedule || room.blindLevel >= schedule.levels.length) return;
+
+  const elapsed = schedule.mode === 'hands'
+    ? room.handNumber - room.levelStartedHand
+    : (Date.now() - room.levelStartedAt) / 60000;
+  if (elapsed < schedule.interval) return;
+
+  room.blindLevel += 1;
+  room.levelStartedAt = Date.now();
+  room.levelStartedHand = room.handNumber;
+
+  const blinds = getBlinds(room);
+  io.to(room.code).emit('blindLevelChanged', blinds);
+  console.log(`Room ${room.code} moved to blind level ${blinds.level} (${blinds.smallBlind}/${blinds.bigBlind})`);
+}
+
+function dealHand(room) {
+  advanceBlindLevel(room);
+
+  const serverSeed = room.nextServerSeed;
+  const clientSeeds = room.players
+    .filter(p => room.clientSeeds.has(p.id))
+    .map(p => ({ playerId: p.id, seed: room.clientSeeds.get(p.id) }));
+
+  room.handServerSeed = serverSeed;
+  room.nextServerSeed = createSeed();
+  room.gameState = createGameState(room, { serverSeed, clientSeeds });
+  room.gameState.fairness.nextCommitment = commitSeed(room.nextServerSeed);
+  revealServerSeed(room);
+  room.handNumber += 1;
+
+  const history = startHandHistory({
+    roomCode: room.code,
+    handNumber: room.handNumber,
+    maxPlayers: room.settings.maxPlayers,
+    gameState: room.gameState,
+  });
+  recordProgress(history, room.gameState);
+  room.handHistories.push(history);
+  if (room.handHistories.length > MAX_HAND_HISTORIES) {
+    room.handHistories.shift();
+  }
+
+  // Blinds alone can end the hand, so report any board dealt straight away
+  const button = room.gameState.players[room.gameState.dealerIndex];
+  postDealerMessages(room, [
+    `Hand #${room.handNumber}: ${button.name} has the button`,
+    ...describeProgress({ communityCards: [], phase: 'preflop' }, room.gameState),
+  ]);
+  if (room.gameState.phase === 'showdown') recordHandStats(room, history);
+
+  startActionClock(room);
+}
+
+// Count a finished hand towards everyone's session stats and send the new table
+function recordHandStats(room, history) {
+  addHandToStats(room.stats, history);
+  io.to(room.code).emit('statsUpdated', {
+    handNumber: history.handNumber,
+    stats: getStatsTable(room.stats),
+  });
+}
+
+function revealServerSeed(room) {
+  if (room.gameState.phase === 'showdown' && !room.gameState.fairness.serverSeed) {
+    room.gameState = {
+      ...room.gameState,
+      fairness: { ...room.gameState.fairness, serverSeed: room.handServerSeed },
+    };
+  }
+}
+
+function currentHandHistory(room) {
+  return room.handHistories[room.handHistories.length - 1];
+}
+
+// Finished hands only; the hand in progress is not exposed
+function findHandHistory(room, handNumber) {
+  return room.handHistories.find(h => h.handNumber === handNumber && h.result);
+}
+
+function chipsAfterHand(room, player) {
+  return room.gameState?.players.find(p => p.id === player.id)?.chips ?? player.chips;
+}
+
+// Players the next hand can be dealt to
+function getReadyPlayers(room) {
+  return room.players.filter(
+    p => chipsAfterHand(room, p) > 0 && !sitsOutOfHand(room, p) && !p.leaving
+  );
+}
+
+// Carry chip counts over from the last hand and deal the next one. Returns an
+// error message when there are not enough players to deal to.
+function startNextHand(room) {
+  if (getReadyPlayers(room).length < 2) {
+    return 'Need at least 2 players sitting in';
+  }
+
+  room.players = room.players.map(p => ({ ...p, chips: chipsAfterHand(room, p) }));
+  removeLeavers(room);
+
+  dealHand(room);
+  broadcastGameState(room, 'newHand');
+  settleTournamentHand(room);
+  return null;
+}
+
+// Give up a player's seat. Before the game starts it is freed straight away;
+// during a game the player folds and the seat is freed before the next deal.
+function unseatPlayer(room, player) {
+  const playerSocket = io.sockets.sockets.get(player.socketId);
+  if (playerSocket && socketSeats.get(playerSocket.id)?.playerId === player.id) {
+    socketSeats.delete(playerSocket.id);
+    playerSocket.leave(room.code);
+  }
+  for (const [token, playerId] of room.sessions) {
+    if (playerId === player.id) room.sessions.delete(token);
+  }
+
+  if (room.phase === 'waiting') {
+    room.players = room.players.filter(p => p.id !== player.id);
+    io.to(room.code).emit('playerLeft', {
+      playerId: player.id,
+      playerName: player.name,
+      chips: player.chips,
+      players: getRoster(room),
+    });
+  } else {
+    player.leaving = true;
+    player.isConnected = false;
+    setSittingOut(room, player, true, 'leaving');
+    io.to(room.code).emit('playerLeaving', {
       playerId: player.id,
       playerName: player.name,
     });
-    console.log(`Room ${room.code} created by ${playerName}`);
+
+    const { gameState } = room;
+    if (gameState.phase !== 'showdown'
+      && gameState.players[gameState.currentPlayerIndex]?.id === player.id) {
+      applyAction(room, player.id, 'fold', undefined, { auto: 'absent' });
+    }
+  }
+
+  if (player.id === room.hostId) {
+    const nextHost = room.players.find(p => !p.isBot && !p.leaving);
+    if (nextHost) setHost(room, nextHost);
+  }
+
+  if (room.players.every(p => p.isBot || !p.isConnected)) {
+    room.expiresAt = Date.now() + ROOM_EXPIRY_MS;
+  }
+  saveRoom(room);
+}
+
+function setHost(room, player) {
+  room.hostId = player.id;
+  room.mutedPlayerIds = room.mutedPlayerIds.filter(id => id !== player.id);
+  io.to(room.code).emit('hostChanged', {
+    hostId: player.id,
+    hostName: player.name,
+    players: getRoster(room),
   });
+}
 
-  socket.on('joinRoom', ({ roomCode, playerName }, callback) => {
-    const room = rooms.get(roomCode.toUpperCase());
+// Seats of players who left are only given up between hands, so seat numbers
+// stay lined up with the hand in progress. The button keeps its place.
+function removeLeavers(room) {
+  const leaving = room.players.filter(p => p.leaving);
+  if (leaving.length === 0) return;
 
-    if (!room) {
-      callback({ success: false, error: 'Room not found' });
-      return;
-    }
+  let { dealerIndex } = room.gameState;
+  room.players.forEach((p, i) => {
+    if (p.leaving && i <= dealerIndex) dealerIndex -= 1;
+  });
 
-    if (room.players.length >= 2) {
-      callback({ success: false, error: 'Room is full' });
-      return;
-    }
+  room.players = room.players.filter(p => !p.leaving);
+  room.gameState = {
+    ...room.gameState,
+    players: room.gameState.players.filter(p => !leaving.some(l => l.id === p.id)),
+    dealerIndex,
+  };
 
-    if (room.phase !== 'waiting') {
-      callback({ success: false, error: 'Game already in progress' });
-      return;
-    }
+  for (const player of leaving) {
+    io.to(room.code).emit('playerLeft', {
+      playerId: player.id,
+      playerName: player.name,
+      chips: player.chips,
+      players: getRoster(room),
+    });
+  }
+}
 
-    const newPlayer = {
-      id: uuidv4(),
-      socketId: socket.id,
-      name: playerName,
-      chips: INITIAL_CHIPS,
-      cards: [],
-      currentBet: 0,
-      folded: false,
-      isAllIn: false,
-      hasActed: false,
-      isConnected: true,
+// New players can sit down before the game starts, or between hands at a cash table
+function canTakeSeat(room) {
+  return room.phase === 'waiting' || (room.phase === 'playing' && room.settings.format === 'cash');
+}
+
+function betweenHands(room) {
+  return room.phase === 'waiting' || room.gameState?.phase === 'showdown';
+}
+
+// Set a player's stack both on their seat and in the current hand's state
+function setChips(room, player, chips) {
+  player.chips = chips;
+  if (room.gameState) {
+    room.gameState = {
+      ...room.gameState,
+      players: room.gameState.players.map(p => (p.id === player.id ? { ...p, chips } : p)),
+    };
+  }
+}
+
+// `reason` is why the player sat out: 'requested', 'missedTurns' or 'leaving'
+function setSittingOut(room, player, sittingOut, reason = null) {
+  player.sittingOut = sittingOut;
+  player.sitOutReason = sittingOut ? reason : null;
+  if (room.gameState) {
+    room.gameState = {
+      ...room.gameState,
+      players: room.gameState.players.map(p => (p.id === player.id ? { ...p, sittingOut } : p)),
     };
+  }
+}
 
-    room.players.push(newPlayer);
-    socket.join(roomCode.toUpperCase());
+// Rebuys and top-ups follow the room's rules: cash tables only, between hands,
+// and never past maxBuyIn. Returns an error message or null.
+function addChips(room, player, amount, { rebuy }) {
+  const { settings } = room;
+  if (room.tournament || settings.format !== 'cash') return 'Chips cannot be added in a tournament';
+  if (!settings.allowRebuys) return 'This room does not allow rebuys';
+  if (!betweenHands(room)) return 'Chips can only be added between hands';
+
+  const chips = chipsAfterHand(room, player);
+  if (rebuy && chips > 0) return 'You can only rebuy once your stack is empty';
+  if (!rebuy && chips === 0) return 'Your stack is empty; rebuy instead';
+
+  const headroom = settings.maxBuyIn - chips;
+  if (!Number.isInteger(amount) || amount < 1 || amount > headroom) {
+    return `amount must be a whole number between 1 and ${headroom}`;
+  }
 
-    callback({
-      success: true,
-      roomCode: room.code,
-      playerId: newPlayer.id,
-      playerName: newPlayer.name,
-    });
+  setChips(room, player, chips + amount);
+  io.to(room.code).emit('chipsAdded', {
+    playerId: player.id,
+    playerName: player.name,
+    amount,
+    chips: chips + amount,
+    rebuy,
+    players: getRoster(room),
+  });
+  if (room.gameState) {
+    broadcastGameState(room, 'gameStateUpdate', { lastAction: null });
+  }
+  saveRoom(room);
+  console.log(`${player.name} ${rebuy ? 'rebought for' : 'added'} ${amount} chips in room ${room.code}`);
+  return null;
+}
 
-    // Notify all players in room
-    io.to(room.code).emit('playerJoined', {
-      players: room.players.map(p => ({ id: p.id, name: p.name, chips: p.chips })),
+// Sit-and-go tournaments. Every entrant pays the buy-in into the prize pool,
+// players are knocked out as their stacks hit zero and prizes go by finishing
+// place. Odd chips left over from the percentages go to the winner.
+function startTournament(room) {
+  const { buyIn, payouts } = room.settings;
+  const entrants = room.players.length;
+  const prizePool = buyIn * entrants;
+  const prizes = payouts.map(percent => Math.floor((prizePool * percent) / 100));
+  prizes[0] += prizePool - prizes.reduce((sum, prize) => sum + prize, 0);
+
+  room.tournament = {
+    buyIn,
+    entrants,
+    prizePool,
+    prizes,
+    standings: [], // finishers in the order they went out, the winner last
+    startedAt: Date.now(),
+    finishedAt: null,
+  };
+}
+
+function getTournamentSummary(room) {
+  if (!room.tournament) return null;
+  return {
+    ...room.tournament,
+    standings: [...room.tournament.standings].sort((a, b) => a.place - b.place),
+  };
+}
+
+function recordFinish(room, player, place) {
+  const finish = {
+    playerId: player.id,
+    name: player.name,
+    place,
+    prize: room.tournament.prizes[place - 1] || 0,
+    handNumber: room.handNumber,
+  };
+  room.tournament.standings.push(finish);
+  return finish;
+}
+
+// Once a tournament hand is over, knock out everyone left without chips, then
+// either finish the tournament or deal the next hand after a short pause
+function settleTournamentHand(room) {
+  const { tournament, gameState } = room;
+  if (!tournament || tournament.finishedAt || gameState.phase !== 'showdown') return;
+
+  const finished = new Set(tournament.standings.map(f => f.playerId));
+  const remaining = gameState.players.filter(p => p.chips > 0);
+  // Players knocked out in the same hand place by the stack they started it with
+  const busted = gameState.players
+    .filter(p => p.chips === 0 && !finished.has(p.id))
+    .sort((a, b) => b.totalContribution - a.totalContribution);
+
+  busted.forEach((player, i) => {
+    const finish = recordFinish(room, player, remaining.length + 1 + i);
+    io.to(room.code).emit('playerEliminated', finish);
+    console.log(`${player.name} finished ${finish.place} in room ${room.code}`);
+  });
+
+  if (remaining.length === 1) {
+    const [winner] = remaining;
+    recordFinish(room, winner, 1);
+    tournament.finishedAt = Date.now();
+    room.phase = 'finished';
+    io.to(room.code).emit('gameOver', {
+      winner: { id: winner.id, name: winner.name, chips: winner.chips },
+      prizePool: tournament.prizePool,
+      standings: getTournamentSummary(room).standings,
     });
+    console.log(`Tournament in room ${room.code} won by ${winner.name}`);
+    return;
+  }
+
+  // resumeGame schedules the deal once the host unpauses
+  if (room.paused) return;
+
+  // If the deal fails (too many players sat out) try again after another pause
+  const pause = room.settings.handPause * 1000;
+  room.nextHandTimer = setTimeout(() => {
+    room.nextHandTimer = null;
+    if (rooms.get(room.code) !== room) return;
+    if (startNextHand(room)) settleTournamentHand(room);
+  }, pause);
+  io.to(room.code).emit('nextHandScheduled', { startsAt: Date.now() + pause });
+}
 
-    console.log(`${playerName} joined room ${room.code}`);
+// `auto` says why the server acted for the player: 'timeout' when their
+// clock ran out, 'absent' when they are leaving or sat out of a tournament
+function applyAction(room, playerId, action, amount, { auto = false } = {}) {
+  const player = room.gameState.players.find(p => p.id === playerId);
+  const before = room.gameState;
+  chargeTimeBank(room, playerId);
+  room.gameState = processAction(room.gameState, playerId, action, amount);
+  revealServerSeed(room);
+
+  const history = currentHandHistory(room);
+  recordAction(history, before, room.gameState, playerId, { auto });
+  recordProgress(history, room.gameState);
+  postDealerMessages(room, [
+    describeAction(history.actions[history.actions.length - 1]),
+    ...describeProgress(before, room.gameState),
+  ]);
+
+  startActionClock(room);
+
+  broadcastGameState(room, 'gameStateUpdate', {
+    lastAction: { playerId, playerName: player.name, action, amount, auto },
   });
+  if (before.phase !== 'showdown' && room.gameState.phase === 'showdown') {
+    recordHandStats(room, history);
+  }
+  settleTournamentHand(room);
 
-  socket.on('startGame', ({ roomCode }) => {
-    const room = rooms.get(roomCode);
-    if (!room || room.players.length < 2) return;
+  console.log(`${player.name} performed ${action}${auto ? ` (${auto})` : ''} in room ${room.code}`);
+}
 
-    room.phase = 'playing';
-    room.gameState = createGameState(room);
+// Turn a hand face up or muck it once the hand is over. Only live hands that
+// are still face down can do either; folded hands are never shown.
+function revealHand(room, player, show) {
+  const gameState = room.gameState;
+  if (gameState?.phase !== 'showdown') {
+    return 'Cards can only be shown or mucked once the hand is over';
+  }
 
-    // Send personalized game state to each player
-    room.players.forEach((player) => {
-      const playerSocket = io.sockets.sockets.get(player.socketId);
-      if (playerSocket) {
-        playerSocket.emit('gameStarted', {
-          gameState: getPlayerView(room.gameState, player.id),
-          yourPlayerId: player.id,
-        });
-      }
+  const seat = gameState.players.find(p => p.id === player.id);
+  if (!seat || seat.cards.length === 0) return 'You were not dealt into this hand';
+  if (seat.folded) return 'Folded hands cannot be shown';
+  if (gameState.shownPlayerIds.includes(player.id)) return 'Your cards are already face up';
+  if (gameState.muckedPlayerIds.includes(player.id)) return 'Your hand is already mucked';
+
+  room.gameState = show
+    ? { ...gameState, shownPlayerIds: [...gameState.shownPlayerIds, player.id] }
+    : { ...gameState, muckedPlayerIds: [...gameState.muckedPlayerIds, player.id] };
+  recordReveals(currentHandHistory(room), room.gameState);
+
+  broadcastGameState(room, 'gameStateUpdate', {
+    reveal: { playerId: player.id, playerName: player.name, action: show ? 'show' : 'muck' },
+  });
+  console.log(`${player.name} ${show ? 'showed' : 'mucked'} in room ${room.code}`);
+  return null;
+}
+
+// Action clock. Each turn gets settings.actionTimeout seconds; once that runs
+// out the player's time bank (if any) is used before the server acts for them.
+function clearActionClock(room) {
+  if (room.actionClock) {
+    clearTimeout(room.actionClock.timer);
+    room.actionClock = null;
+  }
+  clearTimeout(room.botTimer);
+  room.botTimer = null;
+}
+
+function setActionClock(room, playerId, ms, usingTimeBank) {
+  const startedAt = Date.now();
+  room.actionClock = {
+    playerId,
+    startedAt,
+    usingTimeBank,
+    timer: setTimeout(() => handleActionTimeout(room), ms),
+  };
+  room.gameState = {
+    ...room.gameState,
+    actionClock: {
+      playerId,
+      deadline: startedAt + ms,
+      usingTimeBank,
+      timeBank: room.timeBanks.get(playerId) || 0,
+    },
+  };
+}
+
+function startActionClock(room) {
+  clearActionClock(room);
+
+  const { gameState } = room;
+  const currentPlayer = gameState.players[gameState.currentPlayerIndex];
+  if (gameState.phase === 'showdown' || !currentPlayer || room.paused) {
+    room.gameState = { ...gameState, actionClock: null };
+    return;
+  }
+
+  setActionClock(room, currentPlayer.id, room.settings.actionTimeout * 1000, false);
+
+  const seat = room.players.find(p => p.id === currentPlayer.id);
+  if (currentPlayer.isBot) {
+    room.botTimer = setTimeout(() => playBotTurn(room, currentPlayer.id), botThinkingTime());
+  } else if (seat?.leaving || (room.tournament && seat?.sittingOut)) {
+    // Absent players act as soon as the action reaches them
+    room.botTimer = setTimeout(() => actForAbsentPlayer(room, currentPlayer.id), 0);
+  }
+}
+
+// Players who left fold; sat-out tournament players check when they can, else fold
+function actForAbsentPlayer(room, playerId) {
+  room.botTimer = null;
+  if (rooms.get(room.code) !== room) return;
+
+  const { gameState } = room;
+  if (gameState.phase === 'showdown' || gameState.players[gameState.currentPlayerIndex]?.id !== playerId) return;
+  const leaving = room.players.find(p => p.id === playerId)?.leaving;
+  const legal = getLegalActions(gameState, gameState.currentPlayerIndex);
+  applyAction(room, playerId, legal.check && !leaving ? 'check' : 'fold', undefined, { auto: 'absent' });
+}
+
+// Bots decide from the same view a human client would get for their seat
+function playBotTurn(room, botId) {
+  room.botTimer = null;
+  if (rooms.get(room.code) !== room) return;
+
+  const { gameState } = room;
+  const bot = gameState.players[gameState.currentPlayerIndex];
+  if (gameState.phase === 'showdown' || bot?.id !== botId) return;
+
+  const view = getPlayerView(gameState, botId);
+  let { action, amount } = chooseBotAction(bot.botStrategy, view, botId);
+  if (validateAction(gameState, botId, action, amount)) {
+    action = view.legalActions.check ? 'check' : 'fold';
+    amount = undefined;
+  }
+
+  applyAction(room, botId, action, amount);
+}
+
+// Deduct time bank used by a player acting after their regular clock ran out
+function chargeTimeBank(room, playerId) {
+  const clock = room.actionClock;
+  if (clock?.playerId === playerId && clock.usingTimeBank) {
+    const remaining = (room.timeBanks.get(playerId) || 0) - (Date.now() - clock.startedAt);
+    room.timeBanks.set(playerId, Math.max(0, remaining));
+  }
+}
+
+function handleActionTimeout(room) {
+  if (rooms.get(room.code) !== room || !room.actionClock) return;
+
+  const { playerId, usingTimeBank } = room.actionClock;
+  const timeBank = room.timeBanks.get(playerId) || 0;
+
+  if (!usingTimeBank && timeBank > 0) {
+    setActionClock(room, playerId, timeBank, true);
+    broadcastGameState(room, 'gameStateUpdate', { lastAction: null });
+    return;
+  }
+
+  if (usingTimeBank) {
+    room.timeBanks.set(playerId, 0);
+  }
+  room.actionClock = null;
+
+  // Check when possible, otherwise fold
+  const legal = getLegalActions(room.gameState, room.gameState.currentPlayerIndex);
+  applyAction(room, playerId, legal.check ? 'check' : 'fold', undefined, { auto: 'timeout' });
+
+  const missed = (room.missedTurns.get(playerId) || 0) + 1;
+  room.missedTurns.set(playerId, missed);
+
+  const player = room.players.find(p => p.id === playerId);
+  if (player && !player.isConnected && !player.sittingOut && missed >= room.settings.maxMissedTurns) {
+    setSittingOut(room, player, true, 'missedTurns');
+    io.to(room.code).emit('playerSatOut', {
+      playerId,
+      playerName: player.name,
+      reason: 'missedTurns',
     });
+    console.log(`${player.name} sat out after ${missed} missed turns in room ${room.code}`);
+  }
+}
+
+// Socket.io event handlers
+// Create a room with this socket's player as host. Returns the fields for
+// the caller's reply.
+function openRoom(socket, playerName, settings, access) {
+  const room = createRoom(socket.id, playerName, settings, access);
+  const player = room.players[0];
+  stopSpectating(socket);
+  bindSocketToSeat(socket, room, player.id);
+  console.log(`Room ${room.code} created by ${playerName}`);
+  return {
+    roomCode: room.code,
+    playerId: player.id,
+    playerName: player.name,
+    settings: room.settings,
+    sessionToken: issueSessionToken(room, player.id),
+    inviteToken: room.inviteToken,
+    nextSeedCommitment: commitSeed(room.nextServerSeed),
+  };
+}
+
+// Give this socket's player a new seat in the room and tell the table.
+// Returns the fields for the caller's reply.
+function seatPlayer(socket, room, playerName) {
+  const newPlayer = {
+    id: uuidv4(),
+    socketId: socket.id,
+    name: playerName,
+    chips: room.settings.startingChips,
+    cards: [],
+    currentBet: 0,
+    totalContribution: 0,
+    folded: false,
+    isAllIn: false,
+    hasActed: false,
+    isConnected: true,
+    sittingOut: false,
+  };
+
+  room.players.push(newPlayer);
+  // Mid-game arrivals are dealt in from the next hand
+  if (room.phase === 'playing') {
+    room.timeBanks.set(newPlayer.id, room.settings.timeBank * 1000);
+  }
+  stopSpectating(socket);
+  bindSocketToSeat(socket, room, newPlayer.id);
+  saveRoom(room);
 
-    console.log(`Game started in room ${roomCode}`);
+  // Notify all players in room
+  io.to(room.code).emit('playerJoined', {
+    players: getRoster(room),
   });
 
-  socket.on('playerAction', ({ roomCode, playerId, action, amount }) => {
-    const room = rooms.get(roomCode);
-    if (!room || !room.gameState) return;
+  console.log(`${playerName} joined room ${room.code}`);
+  return {
+    roomCode: room.code,
+    playerId: newPlayer.id,
+    playerName: newPlayer.name,
+    settings: room.settings,
+    sessionToken: issueSessionToken(room, newPlayer.id),
+    nextSeedCommitment: commitSeed(room.nextServerSeed),
+    chat: room.chat,
+  };
+}
+
+io.on('connection', (socket) => {
+  console.log('Player connected:', socket.id);
+
+  // An undefined payload arrives as null, which the handlers' `= {}`
+  // defaults do not cover
+  socket.use((packet, next) => {
+    if (packet[1] === null) packet[1] = {};
+    next();
+  });
 
-    const currentPlayer = room.gameState.players[room.gameState.currentPlayerIndex];
-    if (currentPlayer.id !== playerId) {
-      console.log('Not this player\'s turn');
+  socket.on('createRoom', ({ playerName, settings: requestedSettings } = {}, callback) => {
+    const { settings, error } = parseRoomSettings(requestedSettings);
+    if (error) {
+      callback?.({ success: false, error });
       return;
     }
 
-    room.gameState = processAction(room.gameState, playerId, action, amount);
+    const access = parseRoomPassword(requestedSettings?.password, settings);
+    if (access.error) {
+      callback?.({ success: false, error: access.error });
+      return;
+    }
 
-    // Broadcast updated state to all players
-    room.players.forEach((player) => {
-      const playerSocket = io.sockets.sockets.get(player.socketId);
-      if (playerSocket) {
-        playerSocket.emit('gameStateUpdate', {
-          gameState: getPlayerView(room.gameState, player.id),
-          lastAction: { playerId, playerName: currentPlayer.name, action, amount },
-        });
-      }
-    });
+    callback?.({ success: true, ...openRoom(socket, playerName, settings, access) });
+  });
+
+  socket.on('joinRoom', ({ roomCode, playerName, password, inviteToken } = {}, callback) => {
+    const room = typeof roomCode === 'string' ? rooms.get(roomCode.toUpperCase()) : undefined;
+
+    if (!room) {
+      callback?.({ success: false, error: 'Room not found' });
+      return;
+    }
+
+    if (!canEnterRoom(room, { password, inviteToken })) {
+      callback?.({ success: false, error: 'This room is private' });
+      return;
+    }
+
+    if (room.players.length >= room.settings.maxPlayers) {
+      callback?.({ success: false, error: 'Room is full' });
+      return;
+    }
+
+    if (!canTakeSeat(room)) {
+      callback?.({ success: false, error: room.tournament ? 'Tournament already started' : 'Game already in progress' });
+      return;
+    }
+
+    callback?.({ success: true, ...seatPlayer(socket, room, playerName) });
+  });
 
-    console.log(`${currentPlayer.name} performed ${action} in room ${roomCode}`);
+  // Public rooms, optionally filtered by variant, format or open seats. The
+  // socket then gets lobbyRoomUpdated / lobbyRoomRemoved as the list changes.
+  socket.on('listRooms', (filters, callback) => {
+    // Filters are optional, so the ack may come first
+    if (typeof filters === 'function') {
+      [filters, callback] = [{}, filters];
+    }
+    socket.join(LOBBY_CHANNEL);
+    callback?.({ success: true, rooms: listRooms(filters ?? {}) });
   });
 
-  socket.on('nextHand', ({ roomCode }) => {
-    const room = rooms.get(roomCode);
-    if (!room) return;
+  socket.on('leaveLobby', () => {
+    socket.leave(LOBBY_CHANNEL);
+  });
 
-    // Check if any player is out of chips
-    const playersWithChips = room.gameState.players.filter(p => p.chips > 0);
-    if (playersWithChips.length < 2) {
-      io.to(roomCode).emit('gameOver', {
-        winner: playersWithChips[0],
+  // Seat the player at the open public table closest to the stakes they asked
+  // for, fuller tables first, or open a new table if none fits
+  socket.on('quickSeat', ({ playerName, variant, format, bigBlind } = {}, callback) => {
+    const [minBigBlind, maxBigBlind] = SETTING_LIMITS.bigBlind;
+    if (bigBlind !== undefined
+      && (!Number.isInteger(bigBlind) || bigBlind < minBigBlind || bigBlind > maxBigBlind)) {
+      callback?.({
+        success: false,
+        error: `bigBlind must be a whole number between ${minBigBlind} and ${maxBigBlind}`,
       });
       return;
     }
 
-    // Preserve chip counts
-    room.players = room.players.map((p, i) => ({
-      ...p,
-      chips: room.gameState.players[i].chips,
-    }));
+    const candidates = listRooms({ variant, format, open: true })
+      .map(entry => rooms.get(entry.code))
+      .sort((a, b) => {
+        const distance = room => (bigBlind ? Math.abs(Math.log(getBlinds(room).bigBlind / bigBlind)) : 0);
+        return distance(a) - distance(b) || b.players.length - a.players.length;
+      });
+
+    if (candidates.length > 0) {
+      callback?.({ success: true, created: false, ...seatPlayer(socket, candidates[0], playerName) });
+      return;
+    }
 
-    room.gameState = createGameState(room);
+    const requested = { variant, format };
+    if (bigBlind !== undefined) {
+      requested.bigBlind = bigBlind;
+      requested.smallBlind = Math.max(1, Math.floor(bigBlind / 2));
+    }
+    const { settings, error } = parseRoomSettings(requested);
+    if (error) {
+      callback?.({ success: false, error });
+      return;
+    }
 
-    room.players.forEach((player) => {
-      const playerSocket = io.sockets.sockets.get(player.socketId);
-      if (playerSocket) {
-        playerSocket.emit('newHand', {
-          gameState: getPlayerView(room.gameState, player.id),
-        });
-      }
-    });
+    callback?.({ success: true, created: true, ...openRoom(socket, playerName, settings) });
   });
 
-  socket.on('disconnect', () => {
-    console.log('Player disconnected:', socket.id);
+  socket.on('rejoinRoom', ({ roomCode, sessionToken } = {}, callback) => {
+    const room = rooms.get(roomCode?.toUpperCase());
 
-    // Find and update room
-    for (const [code, room] of rooms) {
-      const playerIndex = room.players.findIndex(p => p.socketId === socket.id);
-      if (playerIndex !== -1) {
-        room.players[playerIndex].isConnected = false;
-
-        io.to(code).emit('playerDisconnected', {
-          playerId: room.players[playerIndex].id,
-          playerName: room.players[playerIndex].name,
-        });
-
-        // Clean up empty rooms after a delay
-        setTimeout(() => {
-          const room = rooms.get(code);
-          if (room && room.players.every(p => !p.isConnected)) {
-            rooms.delete(code);
-            console.log(`Room ${code} deleted`);
-          }
-        }, 60000);
-
-        break;
-      }
+    if (!room) {
+      callback?.({ success: false, error: 'Room not found' });
+      return;
     }
-  });
-});
 
-// Health check endpoint
-app.get('/', (req, res) => {
-  res.json({ status: 'Poker server running', rooms: rooms.size });
-});
+    const playerId = room.sessions.get(sessionToken);
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) {
+      callback?.({ success: false, error: 'Invalid session' });
+      return;
+    }
+
+    // Rebind the seat to this socket; the old one may still linger
+    const previousSocket = io.sockets.sockets.get(player.socketId);
+    if (previousSocket && previousSocket.id !== socket.id) {
+      previousSocket.leave(room.code);
+    }
+    socketSeats.delete(player.socketId);
+
+    player.socketId = socket.id;
+    player.isConnected = true;
+    room.missedTurns.delete(player.id);
+    if (room.gameState) {
+      room.gameState.players = room.gameState.players.map(p =>
+        p.id === player.id ? { ...p, socketId: socket.id, isConnected: true } : p
+      );
+    }
+    // Players sat out for missing turns while away are dealt back in; a
+    // sitOut the player asked for stands
+    if (player.sitOutReason === 'missedTurns') {
+      setSittingOut(room, player, false);
+    }
+    stopSpectating(socket);
+    bindSocketToSeat(socket, room, player.id);
+    room.expiresAt = null;
+    saveRoom(room);
+
+    callback?.({
+      success: true,
+      roomCode: room.code,
+      playerId: player.id,
+      playerName: player.name,
+      settings: room.settings,
+      players: getRoster(room),
+      spectators: getSpectators(room),
+      tournament: getTournamentSummary(room),
+      paused: room.paused,
+      inviteToken: player.id === room.hostId ? room.inviteToken : undefined,
+      gameState: room.gameState ? getPlayerView(room.gameState, player.id) : null,
+      chat: room.chat,
+    });
+
+    socket.to(room.code).emit('playerReconnected', {
+      playerId: player.id,
+      playerName: player.name,
+    });
+
+    console.log(`${player.name} rejoined room ${room.code}`);
+  });
+
+  // Watch a table without a seat. Streamers see every hole card after the
+  // room's streamDelay and need the streamer token the host issued;
+  // everyone else gets the public view.
+  socket.on('spectateRoom', ({ roomCode, name, streamer = false, password, inviteToken, streamerToken } = {}, callback) => {
+    const room = rooms.get(roomCode?.toUpperCase());
+
+    if (!room) {
+      callback?.({ success: false, error: 'Room not found' });
+      return;
+    }
+
+    if (!canEnterRoom(room, { password, inviteToken })) {
+      callback?.({ success: false, error: 'This room is private' });
+      return;
+    }
+
+    if (getSeat(socket, room.code)) {
+      callback?.({ success: false, error: 'You are already seated in this room' });
+      return;
+    }
+
+    if (streamer && room.settings.streamDelay === 0) {
+      callback?.({ success: false, error: 'Streamer mode is not enabled in this room' });
+      return;
+    }
+
+    if (streamer && !(streamerToken && room.streamerToken && secretsMatch(streamerToken, room.streamerToken))) {
+      callback?.({ success: false, error: 'Streamer mode needs a streamer token from the host' });
+      return;
+    }
+
+    stopSpectating(socket);
+    const spectator = {
+      id: uuidv4(),
+      socketId: socket.id,
+      name: name || `Spectator ${room.spectators.size + 1}`,
+      streamer: Boolean(streamer),
+    };
+    room.spectators.set(socket.id, spectator);
+    socketSpectators.set(socket.id, room.code);
+    socket.join(room.code);
+
+    // A streamer's first game state arrives with the next delayed update
+    callback?.({
+      success: true,
+      roomCode: room.code,
+      spectatorId: spectator.id,
+      streamer: spectator.streamer,
+      settings: room.settings,
+      players: getRoster(room),
+      spectators: getSpectators(room),
+      gameState: room.gameState && !spectator.streamer ? getPlayerView(room.gameState, null) : null,
+      chat: room.chat,
+    });
+
+    socket.to(room.code).emit('spectatorJoined', {
+      spectatorId: spectator.id,
+      name: spectator.name,
+      spectators: getSpectators(room),
+    });
+
+    console.log(`${spectator.name} is spectating room ${room.code}${spectator.streamer ? ' (streamer)' : ''}`);
+  });
+
+  // A fresh token for streamer spectators; issuing one revokes the last
+  socket.on('issueStreamerToken', ({ roomCode } = {}, callback) => {
+    const seat = requireHost(socket, roomCode, callback, 'issue streamer tokens');
+    if (!seat) return;
+
+    const { room } = seat;
+    if (room.settings.streamDelay === 0) {
+      callback?.({ success: false, error: 'Set a streamDelay to enable streamer mode first' });
+      return;
+    }
+
+    room.streamerToken = randomBytes(16).toString('hex');
+    saveRoom(room);
+    callback?.({ success: true, streamerToken: room.streamerToken });
+  });
+
+  socket.on('addBot', ({ roomCode, strategy = 'hand-strength', name } = {}, callback) => {
+    const seat = requireHost(socket, roomCode, callback, 'add bots');
+    if (!seat) return;
+
+    const { room } = seat;
+    if (room.phase !== 'waiting') {
+      callback?.({ success: false, error: 'Bots can only join before the game starts' });
+      return;
+    }
+
+    if (room.players.length >= room.settings.maxPlayers) {
+      callback?.({ success: false, error: 'Room is full' });
+      return;
+    }
+
+    if (!Object.hasOwn(BOT_STRATEGIES, strategy)) {
+      callback?.({
+        success: false,
+        error: `strategy must be one of ${Object.keys(BOT_STRATEGIES).join(', ')}`,
+      });
+      return;
+    }
+
+    const bot = {
+      id: uuidv4(),
+      socketId: null,
+      name: name || `Bot ${room.players.filter(p => p.isBot).length + 1}`,
+      chips: room.settings.startingChips,
+      cards: [],
+      currentBet: 0,
+      totalContribution: 0,
+      folded: false,
+      isAllIn: false,
+      hasActed: false,
+      isConnected: true,
+      sittingOut: false,
+      isBot: true,
+      botStrategy: strategy,
+    };
+    room.players.push(bot);
+    saveRoom(room);
+
+    callback?.({ success: true, playerId: bot.id });
+    io.to(room.code).emit('playerJoined', {
+      players: getRoster(room),
+    });
+
+    console.log(`${bot.name} (${strategy}) added to room ${room.code}`);
+  });
+
+  socket.on('removeBot', ({ roomCode, playerId } = {}, callback) => {
+    const seat = requireHost(socket, roomCode, callback, 'remove bots');
+    if (!seat) return;
+
+    const { room } = seat;
+    const bot = room.players.find(p => p.id === playerId && p.isBot);
+    if (!bot) {
+      callback?.({ success: false, error: 'Bot not found' });
+      return;
+    }
+
+    if (room.phase !== 'waiting') {
+      callback?.({ success: false, error: 'Bots can only leave before the game starts' });
+      return;
+    }
+
+    room.players = room.players.filter(p => p.id !== bot.id);
+    saveRoom(room);
+    callback?.({ success: true });
+    io.to(room.code).emit('playerLeft', {
+      playerId: bot.id,
+      playerName: bot.name,
+      players: getRoster(room),
+    });
+  });
+
+  socket.on('startGame', ({ roomCode } = {}, callback) => {
+    const seat = requireHost(socket, roomCode, callback, 'start the game');
+    if (!seat) return;
+
+    const { room } = seat;
+
+    if (room.phase !== 'waiting') {
+      callback?.({ success: false, error: 'Game already in progress' });
+      return;
+    }
+
+    if (room.players.length < 2) {
+      callback?.({ success: false, error: 'Need at least 2 players' });
+      return;
+    }
+
+    if (getReadyPlayers(room).length < 2) {
+      callback?.({ success: false, error: 'Need at least 2 players sitting in' });
+      return;
+    }
+
+    const tournament = room.settings.format === 'tournament';
+    const paidPlaces = room.settings.payouts.length;
+    if (tournament && paidPlaces > room.players.length) {
+      callback?.({
+        success: false,
+        error: `The payouts pay ${paidPlaces} places but only ${room.players.length} players entered`,
+      });
+      return;
+    }
+
+    room.phase = 'playing';
+    room.levelStartedAt = Date.now();
+    for (const player of room.players) {
+      room.timeBanks.set(player.id, room.settings.timeBank * 1000);
+    }
+    if (tournament) startTournament(room);
+    dealHand(room);
+
+    // Send personalized game state to each player
+    broadcastGameState(room, 'gameStarted', player => ({
+      yourPlayerId: player.id,
+      tournament: getTournamentSummary(room),
+    }));
+    settleTournamentHand(room);
+
+    callback?.({ success: true });
+    console.log(`Game started in room ${room.code}`);
+  });
+
+  socket.on('playerAction', ({ roomCode, playerId: claimedPlayerId, action, amount } = {}, callback) => {
+    const reject = ({ code, message }) => {
+      callback?.({ success: false, code, error: message });
+    };
+
+    const seat = getSeat(socket, roomCode);
+    if (!seat && socketSpectators.get(socket.id) === roomCode?.toUpperCase()) {
+      reject(actionError('SPECTATOR', 'Spectators cannot act'));
+      return;
+    }
+    if (!seat) {
+      reject(actionError('NOT_SEATED', 'You are not seated in this room'));
+      return;
+    }
+
+    const { room } = seat;
+    const playerId = seat.player.id;
+    if (claimedPlayerId && claimedPlayerId !== playerId) {
+      console.log(`Rejected forged action for ${claimedPlayerId} from socket ${socket.id}`);
+      reject(actionError('FORBIDDEN', 'You can only act for your own seat'));
+      return;
+    }
+
+    if (room.paused) {
+      reject(actionError('PAUSED', 'The game is paused'));
+      return;
+    }
+
+    const error = validateAction(room.gameState, playerId, action, amount);
+    if (error) {
+      reject(error);
+      return;
+    }
+
+    room.missedTurns.delete(playerId);
+    applyAction(room, playerId, action, amount);
+    callback?.({ success: true });
+  });
+
+  socket.on('nextHand', ({ roomCode } = {}, callback) => {
+    const seat = requireHost(socket, roomCode, callback, 'deal the next hand');
+    if (!seat) return;
+
+    const { room } = seat;
+
+    if (room.tournament) {
+      callback?.({ success: false, error: 'Tournament hands are dealt automatically' });
+      return;
+    }
+
+    if (room.gameState?.phase !== 'showdown') {
+      callback?.({ success: false, error: 'Hand still in progress' });
+      return;
+    }
+
+    if (room.paused) {
+      callback?.({ success: false, error: 'The game is paused' });
+      return;
+    }
+
+    // Check if any player is out of chips; with rebuys allowed they can still buy back in
+    const playersWithChips = room.gameState.players.filter(p => p.chips > 0);
+    if (playersWithChips.length < 2 && !room.settings.allowRebuys) {
+      io.to(room.code).emit('gameOver', {
+        winner: playersWithChips[0],
+      });
+      callback?.({ success: true });
+      return;
+    }
+
+    const error = startNextHand(room);
+    callback?.(error ? { success: false, error } : { success: true });
+  });
+
+  socket.on('sitOut', ({ roomCode } = {}, callback) => {
+    const seat = getSeat(socket, roomCode);
+    if (!seat) {
+      callback?.({ success: false, error: 'You are not seated in this room' });
+      return;
+    }
+
+    const { room, player } = seat;
+    if (room.settings.format === 'tournament') {
+      callback?.({ success: false, error: 'You cannot sit out of a tournament' });
+      return;
+    }
+
+    // Takes effect from the next deal; a hand already dealt is still played
+    setSittingOut(room, player, true, 'requested');
+    io.to(room.code).emit('playerSatOut', {
+      playerId: player.id,
+      playerName: player.name,
+      reason: 'requested',
+    });
+    saveRoom(room);
+    callback?.({ success: true });
+  });
+
+  socket.on('sitIn', ({ roomCode } = {}, callback) => {
+    const seat = getSeat(socket, roomCode);
+    if (!seat) {
+      callback?.({ success: false, error: 'You are not seated in this room' });
+      return;
+    }
+
+    const { room, player } = seat;
+    room.missedTurns.delete(player.id);
+    setSittingOut(room, player, false);
+    io.to(room.code).emit('playerSatIn', {
+      playerId: player.id,
+      playerName: player.name,
+    });
+    saveRoom(room);
+    callback?.({ success: true });
+  });
+
+  socket.on('leaveSeat', ({ roomCode } = {}, callback) => {
+    const seat = getSeat(socket, roomCode);
+    if (!seat) {
+      callback?.({ success: false, error: 'You are not seated in this room' });
+      return;
+    }
+
+    const { room, player } = seat;
+    if (room.tournament && !room.tournament.finishedAt) {
+      callback?.({ success: false, error: 'You cannot leave a running tournament' });
+      return;
+    }
+
+    unseatPlayer(room, player);
+    callback?.({ success: true });
+    console.log(`${player.name} left their seat in room ${room.code}`);
+  });
+
+  // Buy back in once busted; amount defaults to a starting stack
+  socket.on('rebuy', ({ roomCode, amount } = {}, callback) => {
+    const seat = getSeat(socket, roomCode);
+    if (!seat) {
+      callback?.({ success: false, error: 'You are not seated in this room' });
+      return;
+    }
+
+    const { room, player } = seat;
+    const error = addChips(room, player, amount ?? room.settings.startingChips, { rebuy: true });
+    callback?.(error ? { success: false, error } : { success: true, chips: player.chips });
+  });
+
+  // Top up a stack that still has chips, up to the room's maxBuyIn
+  socket.on('addChips', ({ roomCode, amount } = {}, callback) => {
+    const seat = getSeat(socket, roomCode);
+    if (!seat) {
+      callback?.({ success: false, error: 'You are not seated in this room' });
+      return;
+    }
+
+    const { room, player } = seat;
+    const error = addChips(room, player, amount, { rebuy: false });
+    callback?.(error ? { success: false, error } : { success: true, chips: player.chips });
+  });
+
+  socket.on('sendChat', ({ roomCode, text } = {}, callback) => {
+    const { seat, error } = getChatSeat(socket, roomCode);
+    if (error) {
+      callback?.({ success: false, error });
+      return;
+    }
+
+    const parsed = parseChatText(text);
+    if (parsed.error) {
+      callback?.({ success: false, error: parsed.error });
+      return;
+    }
+
+    const { room, player } = seat;
+    postChatMessage(room, createChatMessage({
+      type: 'player',
+      playerId: player.id,
+      name: player.name,
+      text: parsed.text,
+    }));
+    saveRoom(room);
+    callback?.({ success: true });
+  });
+
+  socket.on('sendEmote', ({ roomCode, emote } = {}, callback) => {
+    if (!EMOTES.includes(emote)) {
+      callback?.({ success: false, error: `emote must be one of: ${EMOTES.join(', ')}` });
+      return;
+    }
+
+    const { seat, error } = getChatSeat(socket, roomCode);
+    if (error) {
+      callback?.({ success: false, error });
+      return;
+    }
+
+    const { room, player } = seat;
+    postChatMessage(room, createChatMessage({
+      type: 'emote',
+      playerId: player.id,
+      name: player.name,
+      emote,
+    }));
+    saveRoom(room);
+    callback?.({ success: true });
+  });
+
+  socket.on('mutePlayer', ({ roomCode, playerId, muted = true } = {}, callback) => {
+    const seat = requireHost(socket, roomCode, callback, 'mute players');
+    if (!seat) return;
+
+    const { room } = seat;
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) {
+      callback?.({ success: false, error: 'Player not found' });
+      return;
+    }
+    if (player.id === room.hostId) {
+      callback?.({ success: false, error: 'The host cannot be muted' });
+      return;
+    }
+
+    room.mutedPlayerIds = room.mutedPlayerIds.filter(id => id !== player.id);
+    if (muted) room.mutedPlayerIds.push(player.id);
+    saveRoom(room);
+    callback?.({ success: true });
+    io.to(room.code).emit('playerMuted', {
+      playerId: player.id,
+      playerName: player.name,
+      muted: Boolean(muted),
+      players: getRoster(room),
+    });
+    auditHost(room, seat.player, muted ? 'mute' : 'unmute', { playerId: player.id, playerName: player.name });
+  });
+
+  // Stop the clocks. Nobody can act, and the next hand is not dealt, until
+  // the host resumes.
+  socket.on('pauseGame', ({ roomCode } = {}, callback) => {
+    const seat = requireHost(socket, roomCode, callback, 'pause the game');
+    if (!seat) return;
+
+    const { room } = seat;
+    if (room.phase !== 'playing') {
+      callback?.({ success: false, error: 'There is no game in progress' });
+      return;
+    }
+    if (room.paused) {
+      callback?.({ success: false, error: 'The game is already paused' });
+      return;
+    }
+
+    if (room.actionClock) chargeTimeBank(room, room.actionClock.playerId);
+    clearTimeout(room.nextHandTimer);
+    room.nextHandTimer = null;
+    room.paused = true;
+    startActionClock(room);
+
+    io.to(room.code).emit('gamePaused', { hostName: seat.player.name });
+    postDealerMessages(room, [`${seat.player.name} paused the game`]);
+    broadcastGameState(room, 'gameStateUpdate', { paused: true });
+    callback?.({ success: true });
+    auditHost(room, seat.player, 'pause');
+  });
+
+  socket.on('resumeGame', ({ roomCode } = {}, callback) => {
+    const seat = requireHost(socket, roomCode, callback, 'resume the game');
+    if (!seat) return;
+
+    const { room } = seat;
+    if (!room.paused) {
+      callback?.({ success: false, error: 'The game is not paused' });
+      return;
+    }
+
+    // The player to act gets a fresh clock
+    room.paused = false;
+    startActionClock(room);
+
+    io.to(room.code).emit('gameResumed', { hostName: seat.player.name });
+    postDealerMessages(room, [`${seat.player.name} resumed the game`]);
+    broadcastGameState(room, 'gameStateUpdate', { paused: false });
+    settleTournamentHand(room);
+    callback?.({ success: true });
+    auditHost(room, seat.player, 'resume');
+  });
+
+  socket.on('kickPlayer', ({ roomCode, playerId, reason = null } = {}, callback) => {
+    const seat = requireHost(socket, roomCode, callback, 'remove players');
+    if (!seat) return;
+
+    const { room } = seat;
+    const player = room.players.find(p => p.id === playerId && !p.leaving);
+    if (!player) {
+      callback?.({ success: false, error: 'Player not found' });
+      return;
+    }
+    if (player.id === room.hostId) {
+      callback?.({ success: false, error: 'Use leaveSeat to give up your own seat' });
+      return;
+    }
+    if (room.tournament && !room.tournament.finishedAt) {
+      callback?.({ success: false, error: 'Players cannot be removed from a running tournament' });
+      return;
+    }
+
+    io.sockets.sockets.get(player.socketId)?.emit('kicked', { roomCode: room.code, reason });
+    unseatPlayer(room, player);
+    callback?.({ success: true });
+    auditHost(room, seat.player, 'kick', { playerId: player.id, playerName: player.name, reason });
+  });
+
+  socket.on('transferHost', ({ roomCode, playerId } = {}, callback) => {
+    const seat = requireHost(socket, roomCode, callback, 'hand over the table');
+    if (!seat) return;
+
+    const { room } = seat;
+    const player = room.players.find(p => p.id === playerId);
+    if (!player || player.isBot || player.leaving) {
+      callback?.({ success: false, error: 'The host must be a player still seated' });
+      return;
+    }
+    if (player.id === room.hostId) {
+      callback?.({ success: false, error: 'You are already the host' });
+      return;
+    }
+
+    setHost(room, player);
+    saveRoom(room);
+    callback?.({ success: true });
+    auditHost(room, seat.player, 'transferHost', { playerId: player.id, playerName: player.name });
+  });
+
+  // Change settings before the game or between hands. Changes apply from the next deal.
+  socket.on('updateSettings', ({ roomCode, settings: changes } = {}, callback) => {
+    const seat = requireHost(socket, roomCode, callback, 'change the settings');
+    if (!seat) return;
+
+    const { room } = seat;
+    const { settings, changed, error } = parseSettingsChange(room, changes);
+    if (error) {
+      callback?.({ success: false, error });
+      return;
+    }
+
+    const streamingOff = room.settings.streamDelay > 0 && settings.streamDelay === 0;
+    room.settings = settings;
+    room.blindLevel = Math.min(room.blindLevel, settings.blindSchedule?.levels.length ?? 0);
+    if (settings.private && !room.inviteToken) {
+      room.inviteToken = randomBytes(16).toString('hex');
+    }
+    if (streamingOff) {
+      stopStreaming(room);
+    }
+    saveRoom(room);
+
+    callback?.({ success: true, settings, changed, inviteToken: room.inviteToken });
+    if (changed.length === 0) return;
+
+    io.to(room.code).emit('settingsUpdated', { settings, changed });
+    postDealerMessages(room, [`${seat.player.name} changed ${changed.join(', ')}`]);
+    auditHost(room, seat.player, 'updateSettings', {
+      changes: Object.fromEntries(changed.map(key => [key, settings[key]])),
+    });
+  });
+
+  socket.on('showCards', ({ roomCode } = {}, callback) => {
+    const seat = getSeat(socket, roomCode);
+    if (!seat) {
+      callback?.({ success: false, error: 'You are not seated in this room' });
+      return;
+    }
+
+    const error = revealHand(seat.room, seat.player, true);
+    callback?.(error ? { success: false, error } : { success: true });
+  });
+
+  socket.on('muckCards', ({ roomCode } = {}, callback) => {
+    const seat = getSeat(socket, roomCode);
+    if (!seat) {
+      callback?.({ success: false, error: 'You are not seated in this room' });
+      return;
+    }
+
+    const error = revealHand(seat.room, seat.player, false);
+    callback?.(error ? { success: false, error } : { success: true });
+  });
+
+  // Player entropy for the next shuffle. The server seed is already committed,
+  // so neither side can steer the deck on its own.
+  socket.on('setClientSeed', ({ roomCode, clientSeed } = {}, callback) => {
+    const seat = getSeat(socket, roomCode);
+    if (!seat) {
+      callback?.({ success: false, error: 'You are not seated in this room' });
+      return;
+    }
+
+    if (typeof clientSeed !== 'string' || clientSeed.length === 0
+      || clientSeed.length > MAX_CLIENT_SEED_LENGTH) {
+      callback?.({
+        success: false,
+        error: `clientSeed must be 1 to ${MAX_CLIENT_SEED_LENGTH} characters`,
+      });
+      return;
+    }
+
+    const { room, player } = seat;
+    room.clientSeeds.set(player.id, clientSeed);
+    saveRoom(room);
+    callback?.({
+      success: true,
+      nextSeedCommitment: commitSeed(room.nextServerSeed),
+    });
+  });
+
+  socket.on('getStats', ({ roomCode } = {}, callback) => {
+    const code = roomCode?.toUpperCase();
+    const room = rooms.get(code);
+    if (!room || (!getSeat(socket, code) && socketSpectators.get(socket.id) !== code)) {
+      callback?.({ success: false, error: 'You are not in this room' });
+      return;
+    }
+
+    callback?.({ success: true, handNumber: room.handNumber, stats: getStatsTable(room.stats) });
+  });
+
+  socket.on('getHandHistory', ({ roomCode, handNumber, format = 'json' } = {}, callback) => {
+    const seat = getSeat(socket, roomCode);
+    if (!seat) {
+      callback?.({ success: false, error: 'You are not seated in this room' });
+      return;
+    }
+
+    const { room, player } = seat;
+    const finished = room.handHistories.filter(h => h.result);
+    const history = handNumber === undefined
+      ? finished[finished.length - 1]
+      : findHandHistory(room, handNumber);
+    if (!history) {
+      callback?.({ success: false, error: 'Hand not found' });
+      return;
+    }
+
+    callback?.({
+      success: true,
+      handNumbers: finished.map(h => h.handNumber),
+      ...(format === 'text'
+        ? { text: formatPokerStars(history, player.id) }
+        : { history: getHistoryView(history, player.id) }),
+    });
+  });
+
+  socket.on('disconnect', () => {
+    console.log('Player disconnected:', socket.id);
+
+    stopSpectating(socket);
+    socketChatTimes.delete(socket.id);
+    const seat = getSeat(socket);
+    socketSeats.delete(socket.id);
+    if (!seat) return;
+
+    const { room, player } = seat;
+    const code = room.code;
+    player.isConnected = false;
+    if (room.gameState) {
+      room.gameState.players = room.gameState.players.map(p =>
+        p.id === player.id ? { ...p, isConnected: false } : p
+      );
+    }
+
+    io.to(code).emit('playerDisconnected', {
+      playerId: player.id,
+      playerName: player.name,
+    });
+
+    // Rooms nobody is connected to any more expire after a delay
+    if (room.players.every(p => p.isBot || !p.isConnected)) {
+      room.expiresAt = Date.now() + ROOM_EXPIRY_MS;
+    }
+    saveRoom(room);
+  });
+});
+
+// Health check endpoint
+app.get('/', (req, res) => {
+  res.json({ status: 'Poker server running', rooms: rooms.size });
+});
+
+// Public rooms for the lobby, e.g. /rooms?variant=plo&format=tournament&open=true
+app.get('/rooms', (req, res) => {
+  const { variant, format, open } = req.query;
+  res.json({ rooms: listRooms({ variant, format, open: open === 'true' }) });
+});
+
+// Room routes for private rooms need ?password=, ?inviteToken= or a seated
+// player's ?sessionToken=. Replies to the caller when the room is off limits.
+function findReadableRoom(req, res) {
+  const room = rooms.get(req.params.code.toUpperCase());
+  if (!room) {
+    res.status(404).json({ error: 'Room not found' });
+    return null;
+  }
+
+  const { password, inviteToken, sessionToken } = req.query;
+  if (!canEnterRoom(room, { password, inviteToken }) && !room.sessions.has(sessionToken)) {
+    res.status(403).json({ error: 'This room is private' });
+    return null;
+  }
+  return room;
+}
+
+// Hand history export. Pass a player's sessionToken to include their own hole cards.
+app.get('/rooms/:code/hands/:n', (req, res) => {
+  const room = findReadableRoom(req, res);
+  if (!room) return;
+
+  const history = findHandHistory(room, Number(req.params.n));
+  if (!history) {
+    res.status(404).json({ error: 'Hand not found' });
+    return;
+  }
+
+  const viewerId = room.sessions.get(req.query.sessionToken);
+  if (req.query.format === 'text') {
+    res.type('text/plain').send(formatPokerStars(history, viewerId));
+  } else {
+    res.json(getHistoryView(history, viewerId));
+  }
+});
+
+// Rebuild a finished hand's deck from its revealed seeds and check it against the deal
+app.get('/rooms/:code/hands/:n/verify', (req, res) => {
+  const room = findReadableRoom(req, res);
+  if (!room) return;
+
+  const history = findHandHistory(room, Number(req.params.n));
+  if (!history) {
+    res.status(404).json({ error: 'Hand not found' });
+    return;
+  }
+
+  res.json(verifyHandHistory(history));
+});
+
+// Session leaderboard for a room, biggest winner first
+app.get('/rooms/:code/stats', (req, res) => {
+  const room = findReadableRoom(req, res);
+  if (!room) return;
+
+  res.json({ roomCode: room.code, handNumber: room.handNumber, stats: getStatsTable(room.stats) });
+});
+
+// Admin API. Every route needs `Authorization: Bearer <ADMIN_TOKEN>`, and
+// every change is written to the audit log.
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    res.status(503).json({ error: 'The admin API is disabled; set ADMIN_TOKEN to enable it' });
+    return;
+  }
+
+  const token = /^Bearer (.+)$/.exec(req.get('authorization') ?? '')?.[1];
+  if (!token || !secretsMatch(token, ADMIN_TOKEN)) {
+    res.status(401).json({ error: 'Invalid admin token' });
+    return;
+  }
+  next();
+}
+
+function auditAdmin(req, action, roomCode, details = {}) {
+  audit.record({ actor: { type: 'admin', ip: req.ip }, action, roomCode, details });
+}
+
+function getAdminRoomSummary(room) {
+  return {
+    code: room.code,
+    name: room.settings.name,
+    variant: room.settings.variant,
+    format: room.settings.format,
+    private: room.settings.private,
+    phase: room.phase,
+    handPhase: room.gameState?.phase ?? null,
+    paused: room.paused,
+    handNumber: room.handNumber,
+    hostId: room.hostId,
+    seats: getRoster(room),
+    maxPlayers: room.settings.maxPlayers,
+    spectators: room.spectators.size,
+    expiresAt: room.expiresAt,
+  };
+}
+
+function findAdminRoom(req, res) {
+  const room = rooms.get(req.params.code.toUpperCase());
+  if (!room) res.status(404).json({ error: 'Room not found' });
+  return room;
+}
+
+app.use('/admin', requireAdmin);
+
+// Every room, private ones included
+app.get('/admin/rooms', (req, res) => {
+  auditAdmin(req, 'listRooms', null);
+  res.json({ rooms: [...rooms.values()].map(getAdminRoomSummary) });
+});
+
+// What a spectator would see, plus settings and tournament standings
+app.get('/admin/rooms/:code', (req, res) => {
+  const room = findAdminRoom(req, res);
+  if (!room) return;
+
+  auditAdmin(req, 'viewRoom', room.code);
+  res.json({
+    ...getAdminRoomSummary(room),
+    settings: room.settings,
+    spectators: getSpectators(room),
+    tournament: getTournamentSummary(room),
+    gameState: room.gameState && getPlayerView(room.gameState, null),
+    chat: room.chat,
+  });
+});
+
+app.post('/admin/rooms/:code/notice', (req, res) => {
+  const room = findAdminRoom(req, res);
+  if (!room) return;
+
+  const { text, error } = parseChatText(req.body?.message);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  const notice = createChatMessage({ type: 'notice', name: 'Admin', text });
+  postChatMessage(room, notice);
+  saveRoom(room);
+  auditAdmin(req, 'notice', room.code, { message: text });
+  res.json({ success: true, notice });
+});
+
+app.delete('/admin/rooms/:code', (req, res) => {
+  const room = findAdminRoom(req, res);
+  if (!room) return;
+
+  const reason = req.body?.reason ?? 'Closed by an administrator';
+  closeRoom(room, reason);
+  auditAdmin(req, 'closeRoom', room.code, { reason });
+  res.json({ success: true });
+});
+
+// Newest first, e.g. /admin/audit?roomCode=ABC123&limit=50
+app.get('/admin/audit', (req, res) => {
+  const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 100, 1), 1000);
+  auditAdmin(req, 'viewAudit', null);
+  res.json({ entries: audit.list({ roomCode: req.query.roomCode?.toUpperCase(), limit }) });
+});
+
+const MAX_EQUITY_HANDS = 10;
+
+// Validate an equity request body: cards as strings like "Ah" or "Td"
+function parseEquityRequest({ hands, board = [], dead = [], variant = 'holdem' } = {}) {
+  if (!Object.hasOwn(VARIANTS, variant)) {
+    return { error: `variant must be one of ${Object.keys(VARIANTS).join(', ')}` };
+  }
+  const rules = getVariant(variant);
+
+  if (!Array.isArray(hands) || hands.length < 2 || hands.length > MAX_EQUITY_HANDS) {
+    return { error: `hands must list 2 to ${MAX_EQUITY_HANDS} hands` };
+  }
+  if (!Array.isArray(board) || board.length > 5 || !Array.isArray(dead)) {
+    return { error: 'board must have at most 5 cards and dead must be a list' };
+  }
+
+  const parseList = list => list.map(parseCard);
+  const parsedHands = hands.map(hand => (Array.isArray(hand) ? parseList(hand) : [null]));
+  const parsedBoard = parseList(board);
+  const parsedDead = parseList(dead);
+  const allCards = [...parsedHands.flat(), ...parsedBoard, ...parsedDead];
+
+  if (allCards.some(card => !card || !rules.ranks.includes(card.rank))) {
+    return { error: 'Unrecognised card; use rank then suit, e.g. "Ah" or "Td"' };
+  }
+  if (parsedHands.some(hand => hand.length !== rules.holeCards)) {
+    return { error: `Each hand needs ${rules.holeCards} cards` };
+  }
+  if (new Set(allCards.map(c => `${c.rank}${c.suit}`)).size !== allCards.length) {
+    return { error: 'A card appears more than once' };
+  }
+  if (createDeck(rules).length - allCards.length < 5 - parsedBoard.length) {
+    return { error: 'Not enough cards left in the deck to complete the board' };
+  }
+
+  return {
+    request: {
+      hands: parsedHands,
+      board: parsedBoard,
+      dead: parsedDead,
+      variant: rules,
+      samples: equitySamples(parsedHands.length, rules),
+    },
+  };
+}
+
+app.post('/equity', (req, res) => {
+  const { request, error } = parseEquityRequest(req.body);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  res.json(calculateEquity(request));
+});
+
+await restoreRooms();
+setInterval(sweepExpiredRooms, ROOM_SWEEP_INTERVAL_MS);
 
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, '0.0.0.0', () => {
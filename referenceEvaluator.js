@@ -0,0 +1,256 @@
+// The original card-by-card evaluator, kept as a slow but readable reference
+// that scripts/benchmarkEvaluator.js checks the lookup-table evaluator against.
+import { RANK_VALUES, VARIANTS, combinations } from './gameLogic.js';
+
+function sortByRank(cards) {
+  return [...cards].sort((a, b) => RANK_VALUES[b.rank] - RANK_VALUES[a.rank]);
+}
+
+function groupBySuit(cards) {
+  const groups = new Map();
+  for (const card of cards) {
+    const existing = groups.get(card.suit) || [];
+    groups.set(card.suit, [...existing, card]);
+  }
+  return groups;
+}
+
+function groupByRank(cards) {
+  const groups = new Map();
+  for (const card of cards) {
+    const existing = groups.get(card.rank) || [];
+    groups.set(card.rank, [...existing, card]);
+  }
+  return groups;
+}
+
+function findFlush(cards) {
+  const bySuit = groupBySuit(cards);
+  for (const [, suited] of bySuit) {
+    if (suited.length >= 5) {
+      return sortByRank(suited).slice(0, 5);
+    }
+  }
+  return null;
+}
+
+// Straights are runs of positions in the variant's rank order, with the ace
+// also at position -1 (A-2-3-4-5, or A-6-7-8-9 in short deck)
+function findStraight(cards, ranks) {
+  const uniqueRanks = new Map();
+  for (const card of cards) {
+    const value = ranks.indexOf(card.rank);
+    if (!uniqueRanks.has(value)) {
+      uniqueRanks.set(value, card);
+    }
+  }
+
+  const ace = cards.find(c => c.rank === 'A');
+  if (ace) {
+    uniqueRanks.set(-1, ace);
+  }
+
+  const values = Array.from(uniqueRanks.keys()).sort((a, b) => b - a);
+
+  for (let i = 0; i <= values.length - 5; i++) {
+    const sequence = [];
+    let isSequence = true;
+
+    for (let j = 0; j < 5; j++) {
+      const expectedValue = values[i] - j;
+      if (values[i + j] !== expectedValue) {
+        isSequence = false;
+        break;
+      }
+      sequence.push(uniqueRanks.get(expectedValue));
+    }
+
+    if (isSequence) {
+      return sequence;
+    }
+  }
+
+  return null;
+}
+
+function findStraightFlush(cards, ranks) {
+  const bySuit = groupBySuit(cards);
+  for (const [, suited] of bySuit) {
+    if (suited.length >= 5) {
+      const straight = findStraight(suited, ranks);
+      if (straight) {
+        return straight;
+      }
+    }
+  }
+  return null;
+}
+
+export function evaluateHandReference(holeCards, communityCards, variant = VARIANTS.holdem) {
+  if (!variant.mustUseHoleCards) {
+    return evaluateCards([...holeCards, ...communityCards], variant);
+  }
+
+  // Exactly N hole cards plus 5 - N board cards; try every combination
+  const fromHand = variant.mustUseHoleCards;
+  const fromBoard = Math.min(5 - fromHand, communityCards.length);
+  let best = null;
+  for (const hole of combinations(holeCards, fromHand)) {
+    for (const board of combinations(communityCards, fromBoard)) {
+      const hand = evaluateCards([...hole, ...board], variant);
+      if (!best || compareHandsReference(hand, best) > 0) best = hand;
+    }
+  }
+  return best;
+}
+
+// Best hand from any five of the given cards. Categories are tried from the
+// variant's strongest down, so the ranking order decides ties like a hand that
+// holds both a flush and a full house.
+function evaluateCards(allCards, variant) {
+  const rankings = variant.handRankings;
+  const sorted = sortByRank(allCards);
+  const byRank = groupByRank(allCards);
+
+  const pairs = [];
+  const threes = [];
+  const fours = [];
+
+  for (const [, group] of byRank) {
+    if (group.length === 4) fours.push(group);
+    else if (group.length === 3) threes.push(group);
+    else if (group.length === 2) pairs.push(group);
+  }
+
+  pairs.sort((a, b) => RANK_VALUES[b[0].rank] - RANK_VALUES[a[0].rank]);
+  threes.sort((a, b) => RANK_VALUES[b[0].rank] - RANK_VALUES[a[0].rank]);
+  fours.sort((a, b) => RANK_VALUES[b[0].rank] - RANK_VALUES[a[0].rank]);
+
+  const checks = {
+    STRAIGHT_FLUSH: () => {
+      const straightFlush = findStraightFlush(allCards, variant.ranks);
+      if (!straightFlush) return null;
+      const isRoyal = RANK_VALUES[straightFlush[0].rank] === 14;
+      return {
+        rank: isRoyal ? rankings.ROYAL_FLUSH : rankings.STRAIGHT_FLUSH,
+        name: isRoyal ? 'Royal Flush' : 'Straight Flush',
+        cards: straightFlush,
+        kickers: [],
+      };
+    },
+
+    FOUR_OF_A_KIND: () => {
+      if (fours.length === 0) return null;
+      const kickers = sorted.filter(c => c.rank !== fours[0][0].rank).slice(0, 1);
+      return {
+        rank: rankings.FOUR_OF_A_KIND,
+        name: 'Four of a Kind',
+        cards: fours[0],
+        kickers,
+      };
+    },
+
+    FULL_HOUSE: () => {
+      if (threes.length === 0 || (pairs.length === 0 && threes.length < 2)) return null;
+      const tripCards = threes[0];
+      // The pair is the higher of a real pair and two cards of a second trips
+      const pairCards = [threes[1]?.slice(0, 2), pairs[0]]
+        .filter(Boolean)
+        .sort((a, b) => RANK_VALUES[b[0].rank] - RANK_VALUES[a[0].rank])[0];
+      return {
+        rank: rankings.FULL_HOUSE,
+        name: 'Full House',
+        cards: [...tripCards, ...pairCards],
+        kickers: [],
+      };
+    },
+
+    FLUSH: () => {
+      const flush = findFlush(allCards);
+      if (!flush) return null;
+      return {
+        rank: rankings.FLUSH,
+        name: 'Flush',
+        cards: flush,
+        kickers: [],
+      };
+    },
+
+    STRAIGHT: () => {
+      const straight = findStraight(allCards, variant.ranks);
+      if (!straight) return null;
+      return {
+        rank: rankings.STRAIGHT,
+        name: 'Straight',
+        cards: straight,
+        kickers: [],
+      };
+    },
+
+    THREE_OF_A_KIND: () => {
+      if (threes.length === 0) return null;
+      const kickers = sorted.filter(c => c.rank !== threes[0][0].rank).slice(0, 2);
+      return {
+        rank: rankings.THREE_OF_A_KIND,
+        name: 'Three of a Kind',
+        cards: threes[0],
+        kickers,
+      };
+    },
+
+    TWO_PAIR: () => {
+      if (pairs.length < 2) return null;
+      const usedRanks = [pairs[0][0].rank, pairs[1][0].rank];
+      const kickers = sorted.filter(c => !usedRanks.includes(c.rank)).slice(0, 1);
+      return {
+        rank: rankings.TWO_PAIR,
+        name: 'Two Pair',
+        cards: [...pairs[0], ...pairs[1]],
+        kickers,
+      };
+    },
+
+    PAIR: () => {
+      if (pairs.length === 0) return null;
+      const kickers = sorted.filter(c => c.rank !== pairs[0][0].rank).slice(0, 3);
+      return {
+        rank: rankings.PAIR,
+        name: 'Pair',
+        cards: pairs[0],
+        kickers,
+      };
+    },
+
+    HIGH_CARD: () => ({
+      rank: rankings.HIGH_CARD,
+      name: 'High Card',
+      cards: sorted.slice(0, 1),
+      kickers: sorted.slice(1, 5),
+    }),
+  };
+
+  const strongestFirst = Object.keys(checks).sort((a, b) => rankings[b] - rankings[a]);
+  for (const category of strongestFirst) {
+    const hand = checks[category]();
+    if (hand) return hand;
+  }
+  return null;
+}
+
+export function compareHandsReference(hand1, hand2) {
+  if (hand1.rank !== hand2.rank) {
+    return hand1.rank - hand2.rank;
+  }
+
+  for (let i = 0; i < hand1.cards.length && i < hand2.cards.length; i++) {
+    const diff = RANK_VALUES[hand1.cards[i].rank] - RANK_VALUES[hand2.cards[i].rank];
+    if (diff !== 0) return diff;
+  }
+
+  for (let i = 0; i < hand1.kickers.length && i < hand2.kickers.length; i++) {
+    const diff = RANK_VALUES[hand1.kickers[i].rank] - RANK_VALUES[hand2.kickers[i].rank];
+    if (diff !== 0) return diff;
+  }
+
+  return 0;
+}
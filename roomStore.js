@@ -0,0 +1,112 @@
+// Room persistence. Each room is kept as one JSON snapshot, rewritten after
+// every change, so rooms survive a restart. ROOM_STORE picks the backend:
+// 'file' (the default, one file per room under ROOM_STORE_DIR) or 'memory'.
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_DIRECTORY = 'data/rooms';
+
+// Room fields that are Maps in memory and entry lists in a snapshot
+const MAP_FIELDS = ['sessions', 'timeBanks', 'missedTurns', 'clientSeeds'];
+
+export function createMemoryStore() {
+  const snapshots = new Map();
+  return {
+    async loadAll() {
+      return [...snapshots.values()].map(json => JSON.parse(json));
+    },
+    async save(code, snapshot) {
+      snapshots.set(code, JSON.stringify(snapshot));
+    },
+    async remove(code) {
+      snapshots.delete(code);
+    },
+  };
+}
+
+export function createFileStore(directory = DEFAULT_DIRECTORY) {
+  const fileFor = code => path.join(directory, `${code}.json`);
+  // Writes to the same room run one after another so an older snapshot can
+  // never land on top of a newer one
+  const pending = new Map();
+
+  const queue = (code, task) => {
+    const next = (pending.get(code) || Promise.resolve()).then(task, task);
+    pending.set(code, next);
+    next.finally(() => {
+      if (pending.get(code) === next) pending.delete(code);
+    });
+    return next;
+  };
+
+  return {
+    async loadAll() {
+      await mkdir(directory, { recursive: true });
+      const files = (await readdir(directory)).filter(name => name.endsWith('.json'));
+      const snapshots = [];
+      for (const name of files) {
+        try {
+          snapshots.push(JSON.parse(await readFile(path.join(directory, name), 'utf8')));
+        } catch (err) {
+          console.error(`Skipping unreadable room snapshot ${name}:`, err.message);
+        }
+      }
+      return snapshots;
+    },
+    save(code, snapshot) {
+      return queue(code, async () => {
+        await mkdir(directory, { recursive: true });
+        // Write then rename, so a crash mid-write leaves the previous snapshot intact
+        const temp = `${fileFor(code)}.tmp`;
+        await writeFile(temp, JSON.stringify(snapshot));
+        await rename(temp, fileFor(code));
+      });
+    },
+    remove(code) {
+      return queue(code, () => rm(fileFor(code), { force: true }));
+    },
+  };
+}
+
+export function createStore(kind = process.env.ROOM_STORE || 'file') {
+  if (kind === 'memory') return createMemoryStore();
+  if (kind === 'file') return createFileStore(process.env.ROOM_STORE_DIR || DEFAULT_DIRECTORY);
+  throw new Error(`ROOM_STORE must be 'file' or 'memory', not '${kind}'`);
+}
+
+// Everything needed to carry on the room, deck included. Timers, spectators
+// and socket ids only mean something to the running process and are dropped.
+export function serializeRoom(room) {
+  const snapshot = {
+    ...room,
+    actionClock: null,
+    botTimer: null,
+    spectators: undefined,
+    streamTimers: undefined,
+    nextHandTimer: null,
+  };
+  for (const field of MAP_FIELDS) {
+    snapshot[field] = [...room[field]];
+  }
+  return snapshot;
+}
+
+// Rebuild a room from its snapshot. Nobody is connected yet; bots are always
+// connected.
+export function restoreRoom(snapshot) {
+  const disconnect = p => ({ ...p, socketId: null, isConnected: Boolean(p.isBot) });
+  const room = {
+    ...snapshot,
+    players: snapshot.players.map(disconnect),
+    gameState: snapshot.gameState && {
+      ...snapshot.gameState,
+      players: snapshot.gameState.players.map(disconnect),
+    },
+    spectators: new Map(),
+    streamTimers: new Set(),
+  };
+  for (const field of MAP_FIELDS) {
+    room[field] = new Map(snapshot[field]);
+  }
+  return room;
+}
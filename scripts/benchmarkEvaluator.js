@@ -0,0 +1,76 @@
+// Checks the lookup-table evaluator against the reference evaluator on random
+// hands, then times both. Exits non-zero if they ever disagree.
+//
+//   node scripts/benchmarkEvaluator.js [hands]
+import { createDeck, evaluateHand, compareHands, handStrength, VARIANTS } from '../gameLogic.js';
+import { evaluateHandReference, compareHandsReference } from '../referenceEvaluator.js';
+
+const HANDS = Number(process.argv[2]) || 100000;
+
+function randomHand(deck, holeCards) {
+  const pool = [...deck];
+  for (let i = 0; i < holeCards * 2 + 5; i++) {
+    const j = i + Math.floor(Math.random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return {
+    board: pool.slice(0, 5),
+    first: pool.slice(5, 5 + holeCards),
+    second: pool.slice(5 + holeCards, 5 + holeCards * 2),
+  };
+}
+
+const format = cards => cards.map(c => `${c.rank}${c.suit[0]}`).join(' ');
+
+function crossCheck(variant, count) {
+  const deck = createDeck(variant);
+  let mismatches = 0;
+
+  for (let i = 0; i < count; i++) {
+    const { board, first, second } = randomHand(deck, variant.holeCards);
+    const fast = [first, second].map(hole => evaluateHand(hole, board, variant));
+    const slow = [first, second].map(hole => evaluateHandReference(hole, board, variant));
+
+    const sameRank = fast[0].rank === slow[0].rank && fast[1].rank === slow[1].rank;
+    const sameOrder = Math.sign(compareHands(fast[0], fast[1]))
+      === Math.sign(compareHandsReference(slow[0], slow[1]));
+    if (!sameRank || !sameOrder) {
+      mismatches += 1;
+      if (mismatches <= 5) {
+        console.log(`  mismatch: board ${format(board)}, ${format(first)} vs ${format(second)}`);
+        console.log(`    fast ${fast.map(h => h.name).join(' / ')}, reference ${slow.map(h => h.name).join(' / ')}`);
+      }
+    }
+  }
+  return mismatches;
+}
+
+function time(label, run) {
+  const start = process.hrtime.bigint();
+  run();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`  ${label.padEnd(22)} ${ms.toFixed(0).padStart(6)} ms  ${Math.round(HANDS / (ms / 1000)).toLocaleString()} hands/s`);
+}
+
+function benchmark(variant) {
+  const deck = createDeck(variant);
+  const hands = Array.from({ length: HANDS }, () => randomHand(deck, variant.holeCards));
+  // Warm the lookup tables so table building is not counted
+  handStrength(hands[0].first, hands[0].board, variant);
+
+  time('reference', () => hands.forEach(h => evaluateHandReference(h.first, h.board, variant)));
+  time('lookup, with display', () => hands.forEach(h => evaluateHand(h.first, h.board, variant)));
+  time('lookup, strength only', () => hands.forEach(h => handStrength(h.first, h.board, variant)));
+}
+
+let failed = false;
+for (const variant of Object.values(VARIANTS)) {
+  console.log(`${variant.label}`);
+  const checked = variant.mustUseHoleCards ? Math.ceil(HANDS / 10) : HANDS;
+  const mismatches = crossCheck(variant, checked);
+  console.log(`  cross-check: ${checked} showdowns, ${mismatches} mismatches`);
+  if (mismatches > 0) failed = true;
+  benchmark(variant);
+}
+
+process.exit(failed ? 1 : 0);
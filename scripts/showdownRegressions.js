@@ -0,0 +1,292 @@
+// Known tricky showdowns, each checked for the hand name, the ranks of the
+// best five cards in canonical order and who wins. Exits non-zero on any failure.
+//
+//   node scripts/showdownRegressions.js
+import { evaluateHand, compareHands, bestFive, getVariant, parseCard, VARIANTS } from '../gameLogic.js';
+import { evaluateStrength, decodeStrength } from '../handEvaluator.js';
+
+const cards = text => text.split(' ').map(parseCard);
+const ranks = hand => bestFive(hand).map(c => c.rank).join(' ');
+
+// hands: [holeCards, expected name, expected best five]; winners are indexes
+// into hands, more than one for a split pot
+const CASES = [
+  {
+    title: 'full house from two trips takes the higher pair',
+    board: 'Kd Kc 9s 9h 2c',
+    hands: [
+      ['Ks 9c', 'Full House', 'K K K 9 9'],
+      ['Kh 2d', 'Full House', 'K K K 9 9'],
+    ],
+    winners: [0, 1],
+  },
+  {
+    title: 'full house takes the higher of two pairs',
+    board: '8d 8c 4s 4h Ac',
+    hands: [
+      ['8s Ad', 'Full House', '8 8 8 A A'],
+      ['8h 2d', 'Full House', '8 8 8 4 4'],
+    ],
+    winners: [0],
+  },
+  {
+    title: 'higher trips in two trips makes the better full house',
+    board: '7d 7c 3s 3h Jc',
+    hands: [
+      ['7s 3c', 'Full House', '7 7 7 3 3'],
+      ['Jd Jh', 'Full House', 'J J J 7 7'],
+    ],
+    winners: [1],
+  },
+  {
+    title: 'three pairs: the third pair can be the kicker',
+    board: 'Kd Kc 7s 7h 4c',
+    hands: [
+      ['4d Qc', 'Two Pair', 'K K 7 7 Q'],
+      ['4s 2d', 'Two Pair', 'K K 7 7 4'],
+    ],
+    winners: [0],
+  },
+  {
+    title: 'three pairs: a lower pocket pair does not play',
+    board: 'Kd Kc 7s 7h Qc',
+    hands: [
+      ['4d 4c', 'Two Pair', 'K K 7 7 Q'],
+      ['3s 3d', 'Two Pair', 'K K 7 7 Q'],
+    ],
+    winners: [0, 1],
+  },
+  {
+    title: 'counterfeited pocket pair loses to an ace kicker',
+    board: 'Kd Kc Qs Qh 2c',
+    hands: [
+      ['5d 5c', 'Two Pair', 'K K Q Q 5'],
+      ['As 3d', 'Two Pair', 'K K Q Q A'],
+    ],
+    winners: [1],
+  },
+  {
+    title: 'pair kickers are compared down to the fifth card',
+    board: 'Ad Ac 9s 6h 2c',
+    hands: [
+      ['Kd 5c', 'Pair', 'A A K 9 6'],
+      ['Ks 4d', 'Pair', 'A A K 9 6'],
+    ],
+    winners: [0, 1],
+  },
+  {
+    title: 'high card splits when only the board plays',
+    board: 'Ad Qc 9s 7h 5c',
+    hands: [
+      ['3d 2c', 'High Card', 'A Q 9 7 5'],
+      ['4s 2d', 'High Card', 'A Q 9 7 5'],
+    ],
+    winners: [0, 1],
+  },
+  {
+    title: 'trips kicker decides',
+    board: 'Ad Ac 9s 6h 2c',
+    hands: [
+      ['As Kc', 'Three of a Kind', 'A A A K 9'],
+      ['Ah Qd', 'Three of a Kind', 'A A A Q 9'],
+    ],
+    winners: [0],
+  },
+  {
+    title: 'quads on board: the best kicker wins',
+    board: '9d 9c 9s 9h 2c',
+    hands: [
+      ['Kd 3c', 'Four of a Kind', '9 9 9 9 K'],
+      ['Qs Jd', 'Four of a Kind', '9 9 9 9 Q'],
+    ],
+    winners: [0],
+  },
+  {
+    title: 'quads on board with an ace kicker on board splits',
+    board: '9d 9c 9s 9h Ac',
+    hands: [
+      ['Kd 3c', 'Four of a Kind', '9 9 9 9 A'],
+      ['Qs Jd', 'Four of a Kind', '9 9 9 9 A'],
+    ],
+    winners: [0, 1],
+  },
+  {
+    title: 'wheel loses to a six-high straight',
+    board: '2d 3c 4s 5h Kc',
+    hands: [
+      ['Ad Qc', 'Straight', '5 4 3 2 A'],
+      ['6s Qd', 'Straight', '6 5 4 3 2'],
+    ],
+    winners: [1],
+  },
+  {
+    title: 'straight on board splits unless someone makes it higher',
+    board: '5d 6c 7s 8h 9c',
+    hands: [
+      ['Ad Ac', 'Straight', '9 8 7 6 5'],
+      ['2s 3d', 'Straight', '9 8 7 6 5'],
+      ['10s 2c', 'Straight', '10 9 8 7 6'],
+    ],
+    winners: [2],
+  },
+  {
+    title: 'flush on board: a low suited card does not play',
+    board: 'Ah Jh 8h 6h 3h',
+    hands: [
+      ['2h Kc', 'Flush', 'A J 8 6 3'],
+      ['Qs Qd', 'Flush', 'A J 8 6 3'],
+      ['Kh 2c', 'Flush', 'A K J 8 6'],
+    ],
+    winners: [2],
+  },
+  {
+    title: 'six suited cards: only the top five count',
+    board: 'Kh 9h 7h 4h 2c',
+    hands: [
+      ['Ah 3h', 'Flush', 'A K 9 7 4'],
+      ['As 2h', 'Flush', 'K 9 7 4 2'],
+    ],
+    winners: [0],
+  },
+  {
+    title: 'straight flush beats a higher flush',
+    board: '5h 6h 7h 8h Kc',
+    hands: [
+      ['4h 2c', 'Straight Flush', '8 7 6 5 4'],
+      ['Ah Kh', 'Flush', 'A K 8 7 6'],
+    ],
+    winners: [0],
+  },
+  {
+    title: 'steel wheel is the lowest straight flush',
+    board: 'Ah 2h 3h 4h Kc',
+    hands: [
+      ['5h Kd', 'Straight Flush', '5 4 3 2 A'],
+      ['5c 6c', 'Straight', '6 5 4 3 2'],
+    ],
+    winners: [0],
+  },
+  {
+    title: 'royal flush',
+    board: 'Qs Js 10s 2d 2c',
+    hands: [
+      ['As Ks', 'Royal Flush', 'A K Q J 10'],
+      ['2s 2h', 'Four of a Kind', '2 2 2 2 Q'],
+    ],
+    winners: [0],
+  },
+  {
+    title: 'short deck: flush beats a full house',
+    variant: 'shortdeck',
+    board: 'Ah 9h 7h Kd Kc',
+    hands: [
+      ['6h Jh', 'Flush', 'A J 9 7 6'],
+      ['Ks 9c', 'Full House', 'K K K 9 9'],
+    ],
+    winners: [0],
+  },
+  {
+    title: 'short deck: A-6-7-8-9 is the lowest straight',
+    variant: 'shortdeck',
+    board: '6d 7c 8s Jh Qc',
+    hands: [
+      ['Ad 9c', 'Straight', '9 8 7 6 A'],
+      ['9s 10d', 'Straight', 'Q J 10 9 8'],
+    ],
+    winners: [1],
+  },
+  {
+    title: 'Omaha: one suited hole card makes no flush',
+    variant: 'plo',
+    board: '2h 5h 8h Jh Kc',
+    hands: [
+      ['Ah As Ad 3c', 'Pair', 'A A K J 8'],
+      ['Qh 9h 4c 4d', 'Flush', 'Q J 9 8 5'],
+    ],
+    winners: [1],
+  },
+  {
+    title: 'Omaha: trips on board need a pocket pair for a full house',
+    variant: 'plo',
+    board: 'Kd Kc Ks 5h 2c',
+    hands: [
+      ['Ad Ac 7s 6s', 'Full House', 'K K K A A'],
+      ['Ah Qd Jd 10d', 'Three of a Kind', 'K K K A Q'],
+    ],
+    winners: [0],
+  },
+];
+
+let failures = 0;
+const fail = (title, message) => {
+  failures += 1;
+  console.log(`FAIL ${title}: ${message}`);
+};
+
+for (const { title, board, hands, winners, variant = 'holdem' } of CASES) {
+  const rules = getVariant(variant);
+  const evaluated = hands.map(([hole]) => evaluateHand(cards(hole), cards(board), rules));
+
+  hands.forEach(([hole, name, five], i) => {
+    if (evaluated[i].name !== name) {
+      fail(title, `${hole} made ${evaluated[i].name}, expected ${name}`);
+    }
+    if (ranks(evaluated[i]) !== five) {
+      fail(title, `${hole} best five ${ranks(evaluated[i])}, expected ${five}`);
+    }
+  });
+
+  let best = [0];
+  for (let i = 1; i < evaluated.length; i++) {
+    const diff = compareHands(evaluated[i], evaluated[best[0]]);
+    if (diff > 0) best = [i];
+    else if (diff === 0) best.push(i);
+  }
+  if (best.join() !== winners.join()) {
+    fail(title, `winners ${best.join(', ')}, expected ${winners.join(', ')}`);
+  }
+
+  // Strength must agree with compareHands
+  for (let i = 1; i < evaluated.length; i++) {
+    const byCards = Math.sign(compareHands(evaluated[i], evaluated[0]));
+    const byStrength = Math.sign(evaluated[i].strength - evaluated[0].strength);
+    if (byCards !== byStrength) fail(title, 'strength disagrees with the best five');
+  }
+}
+
+// Every five-card hold'em hand, counted by category against the known totals
+const CATEGORY_COUNTS = {
+  HIGH_CARD: 1302540,
+  PAIR: 1098240,
+  TWO_PAIR: 123552,
+  THREE_OF_A_KIND: 54912,
+  STRAIGHT: 10200,
+  FLUSH: 5108,
+  FULL_HOUSE: 3744,
+  FOUR_OF_A_KIND: 624,
+  STRAIGHT_FLUSH: 36,
+  ROYAL_FLUSH: 4,
+};
+
+const rankings = VARIANTS.holdem.handRankings;
+const counted = new Map();
+const codes = new Array(5);
+for (codes[0] = 0; codes[0] < 52; codes[0]++) {
+  for (codes[1] = codes[0] + 1; codes[1] < 52; codes[1]++) {
+    for (codes[2] = codes[1] + 1; codes[2] < 52; codes[2]++) {
+      for (codes[3] = codes[2] + 1; codes[3] < 52; codes[3]++) {
+        for (codes[4] = codes[3] + 1; codes[4] < 52; codes[4]++) {
+          const { category } = decodeStrength(evaluateStrength(codes, VARIANTS.holdem));
+          counted.set(category, (counted.get(category) || 0) + 1);
+        }
+      }
+    }
+  }
+}
+for (const [name, expected] of Object.entries(CATEGORY_COUNTS)) {
+  const actual = counted.get(rankings[name]) || 0;
+  if (actual !== expected) fail('all five-card hands', `${actual} ${name}, expected ${expected}`);
+}
+
+console.log(`${CASES.length} showdowns and all five-card hands, ${failures} failures`);
+process.exit(failures ? 1 : 0);
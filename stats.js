@@ -0,0 +1,69 @@
+// Session statistics per player, added up from finished hand histories: the
+// actions recorded from processAction and the results from determineWinner.
+
+function emptyStats(name) {
+  return {
+    name,
+    handsDealt: 0,
+    vpipHands: 0, // put money in voluntarily before the flop
+    pfrHands: 0, // bet or raised before the flop
+    betsAndRaises: 0,
+    calls: 0,
+    showdownsSeen: 0,
+    showdownsWon: 0,
+    netChips: 0,
+  };
+}
+
+// Add one finished hand to a room's running totals (playerId -> stats)
+export function addHandToStats(stats, history) {
+  const { result } = history;
+  if (!result) return stats;
+
+  for (const seat of history.seats) {
+    const totals = stats[seat.playerId] ?? emptyStats(seat.name);
+    stats[seat.playerId] = totals;
+    totals.name = seat.name;
+
+    const actions = history.actions.filter(a => a.playerId === seat.playerId);
+    const preflop = actions.filter(a => a.street === 'preflop');
+    const aggressive = a => a.type === 'bet' || a.type === 'raise';
+
+    totals.handsDealt += 1;
+    if (preflop.some(a => a.type === 'call' || aggressive(a))) totals.vpipHands += 1;
+    if (preflop.some(aggressive)) totals.pfrHands += 1;
+    totals.betsAndRaises += actions.filter(aggressive).length;
+    totals.calls += actions.filter(a => a.type === 'call').length;
+
+    if (result.wentToShowdown && result.showdownOrder.includes(seat.playerId)) {
+      totals.showdownsSeen += 1;
+      if (result.winners.some(w => w.id === seat.playerId)) totals.showdownsWon += 1;
+    }
+
+    totals.netChips += result.finalChips[seat.playerId] - seat.startingChips;
+  }
+  return stats;
+}
+
+const percent = (count, total) => (total === 0 ? 0 : Math.round((count / total) * 1000) / 10);
+
+// The table as clients see it, biggest winner first. VPIP and PFR are
+// percentages of hands dealt; aggression factor is (bets + raises) / calls,
+// null until the player has called at least once.
+export function getStatsTable(stats) {
+  return Object.entries(stats)
+    .map(([playerId, totals]) => ({
+      playerId,
+      name: totals.name,
+      handsDealt: totals.handsDealt,
+      vpip: percent(totals.vpipHands, totals.handsDealt),
+      pfr: percent(totals.pfrHands, totals.handsDealt),
+      aggressionFactor: totals.calls === 0
+        ? null
+        : Math.round((totals.betsAndRaises / totals.calls) * 100) / 100,
+      showdownsSeen: totals.showdownsSeen,
+      showdownsWon: totals.showdownsWon,
+      netChips: totals.netChips,
+    }))
+    .sort((a, b) => b.netChips - a.netChips);
+}